@@ -3,13 +3,50 @@ const API_BASE = '/api';
 let ws = null;
 let isRecording = false;
 let recordingTimer = null;
-let recordingSeconds = 0;
+let recordingStartTime = null;
+let sequenceRunning = false;
+let timelapseState = { running: false };
+let timelapseTimer = null;
+let stackRunning = false;
+let stackImageVersion = 0;
+let stackImageLoading = false;
+let exposureMonitorRunning = false;
+let focusAssist = { running: false, history: [], best: {}, bahtinov: false };
+let autofocusState = { state: 'idle' };
+let autoExposure = { running: false, settings: null };
+let roiDrag = null;
+let roiTarget = null;
+let streamState = { roi: null };
+let streamProfiles = [];
+let streamFormats = [];
+let streamMode = null;
+let editingProfile = null;
+let galleryMetadata = {};
+let galleryItems = [];
+let selectionMode = false;
+const selectedCaptures = new Set();
+let sessions = [];
+let activeSession = null;
+let cameras = [];
+let currentCamera = localStorage.getItem('camera') || 'cam0';
 
 // DOM Elements
 const elements = {
   status: document.getElementById('status'),
+  cameraSelect: document.getElementById('camera-select'),
   stream: document.getElementById('stream'),
+  videoOverlay: document.getElementById('video-overlay'),
+  streamStats: document.getElementById('stream-stats'),
+  btnOverlayStats: document.getElementById('btn-overlay-stats'),
+  btnOverlayCrosshair: document.getElementById('btn-overlay-crosshair'),
+  btnOverlayLevels: document.getElementById('btn-overlay-levels'),
+  btnOverlayRegions: document.getElementById('btn-overlay-regions'),
   streamOverlay: document.getElementById('stream-overlay'),
+  streamOverlayText: document.getElementById('stream-overlay-text'),
+  btnExposure: document.getElementById('btn-exposure'),
+  exposurePanel: document.getElementById('exposure-panel'),
+  exposureHistogram: document.getElementById('exposure-histogram'),
+  exposureText: document.getElementById('exposure-text'),
   // Sliders
   exposure: document.getElementById('exposure'),
   gain: document.getElementById('gain'),
@@ -30,27 +67,233 @@ const elements = {
   focus: document.getElementById('focus'),
   focusInput: document.getElementById('focus-input'),
   focusContainer: document.getElementById('focusContainer'),
+  // Presets
+  presetButtons: document.getElementById('preset-buttons'),
+  btnPresetSave: document.getElementById('btn-preset-save'),
+  btnPresetExport: document.getElementById('btn-preset-export'),
+  btnPresetImport: document.getElementById('btn-preset-import'),
+  presetImportFile: document.getElementById('preset-import-file'),
   // Binning
   binningToggle: document.getElementById('binningToggle'),
   binningStatus: document.getElementById('binning-status'),
   // Buttons
   btnPhoto: document.getElementById('btn-photo'),
+  photoFormat: document.getElementById('photo-format'),
+  captureTarget: document.getElementById('capture-target'),
+  captureNotes: document.getElementById('capture-notes'),
   btnVideo: document.getElementById('btn-video'),
   btnReset: document.getElementById('btn-reset'),
   recordingStatus: document.getElementById('recording-status'),
   recordingTime: document.getElementById('recording-time'),
-  gallery: document.getElementById('gallery')
+  // Sequence
+  sequenceCount: document.getElementById('sequence-count'),
+  sequenceInterval: document.getElementById('sequence-interval'),
+  btnSequence: document.getElementById('btn-sequence'),
+  sequenceStatus: document.getElementById('sequence-status'),
+  sequenceProgress: document.getElementById('sequence-progress'),
+  sequenceText: document.getElementById('sequence-text'),
+  // Timelapse
+  timelapseInterval: document.getElementById('timelapse-interval'),
+  timelapseCount: document.getElementById('timelapse-count'),
+  timelapseDuration: document.getElementById('timelapse-duration'),
+  timelapseVideo: document.getElementById('timelapse-video'),
+  btnTimelapse: document.getElementById('btn-timelapse'),
+  timelapseStatus: document.getElementById('timelapse-status'),
+  timelapseText: document.getElementById('timelapse-text'),
+  // Live stack
+  stackMode: document.getElementById('stack-mode'),
+  stackAlign: document.getElementById('stack-align'),
+  btnStack: document.getElementById('btn-stack'),
+  btnStackReset: document.getElementById('btn-stack-reset'),
+  btnStackSave: document.getElementById('btn-stack-save'),
+  stackPreview: document.getElementById('stack-preview'),
+  stackImage: document.getElementById('stack-image'),
+  stackText: document.getElementById('stack-text'),
+  // Focus assist
+  focusMetric: document.getElementById('focus-metric'),
+  focusRoi: document.getElementById('focus-roi'),
+  focusBahtinov: document.getElementById('focus-bahtinov'),
+  btnFocus: document.getElementById('btn-focus'),
+  focusPanel: document.getElementById('focus-panel'),
+  focusGraph: document.getElementById('focus-graph'),
+  focusText: document.getElementById('focus-text'),
+  focusBahtinovText: document.getElementById('focus-bahtinov-text'),
+  btnFocusReset: document.getElementById('btn-focus-reset'),
+  autofocusStart: document.getElementById('autofocus-start'),
+  autofocusEnd: document.getElementById('autofocus-end'),
+  autofocusSteps: document.getElementById('autofocus-steps'),
+  btnAutofocus: document.getElementById('btn-autofocus'),
+  autofocusPanel: document.getElementById('autofocus-panel'),
+  autofocusCurve: document.getElementById('autofocus-curve'),
+  autofocusText: document.getElementById('autofocus-text'),
+  // Stream region of interest
+  streamZoom: document.getElementById('stream-zoom'),
+  streamUpscale: document.getElementById('stream-upscale'),
+  btnStreamRoi: document.getElementById('btn-stream-roi'),
+  btnStreamRoiReset: document.getElementById('btn-stream-roi-reset'),
+  streamRoiStatus: document.getElementById('stream-roi-status'),
+  // Stream profiles
+  streamProfile: document.getElementById('stream-profile'),
+  streamProfileStatus: document.getElementById('stream-profile-status'),
+  btnStreamProfileApply: document.getElementById('btn-stream-profile-apply'),
+  btnStreamProfileEdit: document.getElementById('btn-stream-profile-edit'),
+  btnStreamProfileNew: document.getElementById('btn-stream-profile-new'),
+  btnStreamProfileDelete: document.getElementById('btn-stream-profile-delete'),
+  streamProfileEditor: document.getElementById('stream-profile-editor'),
+  profileName: document.getElementById('profile-name'),
+  profileLabel: document.getElementById('profile-label'),
+  profileFormat: document.getElementById('profile-format'),
+  profileSize: document.getElementById('profile-size'),
+  profileFps: document.getElementById('profile-fps'),
+  profileOutput: document.getElementById('profile-output'),
+  profileBitrate: document.getElementById('profile-bitrate'),
+  profileGop: document.getElementById('profile-gop'),
+  btnProfileSave: document.getElementById('btn-profile-save'),
+  btnProfileCancel: document.getElementById('btn-profile-cancel'),
+  // Auto exposure
+  roiLayer: document.getElementById('roi-layer'),
+  roiBox: document.getElementById('roi-box'),
+  aeMode: document.getElementById('ae-mode'),
+  aeTarget: document.getElementById('ae-target'),
+  aeTolerance: document.getElementById('ae-tolerance'),
+  aeMaxGain: document.getElementById('ae-max-gain'),
+  btnAeRoi: document.getElementById('btn-ae-roi'),
+  btnAe: document.getElementById('btn-ae'),
+  aeText: document.getElementById('ae-text'),
+  // Calibration
+  calibrationFrames: document.getElementById('calibration-frames'),
+  btnDark: document.getElementById('btn-dark'),
+  btnFlat: document.getElementById('btn-flat'),
+  applyDark: document.getElementById('apply-dark'),
+  applyFlat: document.getElementById('apply-flat'),
+  calibrationList: document.getElementById('calibration-list'),
+  // Stream outputs
+  btnHls: document.getElementById('btn-hls'),
+  hlsText: document.getElementById('hls-text'),
+  rtmpUrl: document.getElementById('rtmp-url'),
+  btnRtmpSave: document.getElementById('btn-rtmp-save'),
+  btnRtmp: document.getElementById('btn-rtmp'),
+  rtmpText: document.getElementById('rtmp-text'),
+  srtUrl: document.getElementById('srt-url'),
+  btnSrtSave: document.getElementById('btn-srt-save'),
+  btnSrt: document.getElementById('btn-srt'),
+  srtText: document.getElementById('srt-text'),
+  // Stream health
+  healthText: document.getElementById('health-text'),
+  btnHealthLog: document.getElementById('btn-health-log'),
+  btnStreamRestart: document.getElementById('btn-stream-restart'),
+  healthPaths: document.getElementById('health-paths'),
+  healthLog: document.getElementById('health-log'),
+  // Sessions
+  sessionActive: document.getElementById('session-active'),
+  sessionForm: document.getElementById('session-form'),
+  sessionTarget: document.getElementById('session-target'),
+  sessionLocation: document.getElementById('session-location'),
+  sessionNotes: document.getElementById('session-notes'),
+  btnSessionStart: document.getElementById('btn-session-start'),
+  btnSessionEnd: document.getElementById('btn-session-end'),
+  // Gallery selection and bulk export
+  btnSelect: document.getElementById('btn-select'),
+  selectionCount: document.getElementById('selection-count'),
+  btnDownloadSelected: document.getElementById('btn-download-selected'),
+  btnDeleteSelected: document.getElementById('btn-delete-selected'),
+  archiveFrom: document.getElementById('archive-from'),
+  archiveTo: document.getElementById('archive-to'),
+  btnDownloadRange: document.getElementById('btn-download-range'),
+  gallery: document.getElementById('gallery'),
+  // Capture viewer
+  viewer: document.getElementById('viewer'),
+  viewerTitle: document.getElementById('viewer-title'),
+  viewerZoom: document.getElementById('viewer-zoom'),
+  viewerZoomIn: document.getElementById('viewer-zoom-in'),
+  viewerZoomOut: document.getElementById('viewer-zoom-out'),
+  viewerZoomFit: document.getElementById('viewer-zoom-fit'),
+  viewerZoomActual: document.getElementById('viewer-zoom-actual'),
+  viewerDownload: document.getElementById('viewer-download'),
+  viewerClose: document.getElementById('viewer-close'),
+  viewerStage: document.getElementById('viewer-stage'),
+  viewerImage: document.getElementById('viewer-image'),
+  viewerVideo: document.getElementById('viewer-video'),
+  viewerPrev: document.getElementById('viewer-prev'),
+  viewerNext: document.getElementById('viewer-next'),
+  viewerHistogram: document.getElementById('viewer-histogram'),
+  viewerPlayback: document.getElementById('viewer-playback'),
+  viewerStepBack: document.getElementById('viewer-step-back'),
+  viewerPlay: document.getElementById('viewer-play'),
+  viewerStepForward: document.getElementById('viewer-step-forward'),
+  viewerSeek: document.getElementById('viewer-seek'),
+  viewerPosition: document.getElementById('viewer-position'),
+  viewerMetadata: document.getElementById('viewer-metadata')
 };
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   initWebSocket();
-  loadControls();
-  loadCaptures();
-  loadBinningStatus();
   setupEventListeners();
+  await loadCameras();
+  loadPresets();
+  loadStreamProfiles();
+  await loadSessions();
+  loadCaptures();
+  loadStreamOutputs();
+  loadStreamHealth();
+  setInterval(() => {
+    if (!document.hidden) loadStreamHealth();
+  }, 10000);
 });
 
+// Cameras
+async function loadCameras() {
+  try {
+    const data = await api('/cameras');
+    if (data.success) {
+      cameras = data.cameras;
+    }
+  } catch (err) {
+    console.error('Failed to load cameras:', err);
+  }
+
+  if (!cameras.some(c => c.id === currentCamera) && cameras.length > 0) {
+    currentCamera = cameras[0].id;
+  }
+
+  elements.cameraSelect.innerHTML = cameras.map(camera => `
+    <option value="${camera.id}">${escapeHtml(camera.name)} (${camera.device})</option>
+  `).join('');
+  elements.cameraSelect.value = currentCamera;
+  elements.cameraSelect.classList.toggle('hidden', cameras.length < 2);
+
+  selectCamera(currentCamera);
+}
+
+function selectCamera(id) {
+  currentCamera = id;
+  localStorage.setItem('camera', id);
+
+  const camera = cameras.find(c => c.id === id);
+  const streamPath = camera ? camera.path : 'telescope';
+  elements.streamOverlay.classList.add('hidden');
+  startPlayer(streamPath);
+
+  loadControls();
+  loadRecordingStatus();
+  loadSequenceStatus();
+  loadTimelapseStatus();
+  loadStackStatus();
+  loadCalibration();
+  loadStreamState();
+  loadStreamFormats();
+  loadExposureStatus();
+  loadFocusStatus();
+  loadAutofocusStatus();
+  loadAutoExposureStatus();
+}
+
+// Camera-scoped API path for the selected camera
+function cameraEndpoint(endpoint) {
+  return `/cameras/${currentCamera}${endpoint}`;
+}
+
 // WebSocket
 function initWebSocket() {
   const wsUrl = `ws://${window.location.host}/ws`;
@@ -82,18 +325,165 @@ function initWebSocket() {
 }
 
 function handleWebSocketMessage(msg) {
+  // State events for other cameras don't apply to the controls on screen
+  const otherCamera = msg.data && msg.data.camera && msg.data.camera !== currentCamera;
+  if (otherCamera && !['captureComplete', 'captureDeleted', 'captureUpdated'].includes(msg.type)) {
+    return;
+  }
+
   switch (msg.type) {
     case 'controlChanged':
       updateControlUI(msg.data.control, msg.data.value);
       break;
+    case 'presetApplied':
+      document.querySelectorAll('.preset-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.preset === msg.data.preset);
+      });
+      loadControls();
+      break;
+    case 'streamProfilesChanged':
+      loadStreamProfiles();
+      break;
+    case 'streamProfileChanging':
+      elements.btnStreamProfileApply.disabled = true;
+      elements.streamProfileStatus.textContent = 'Restarting stream...';
+      break;
+    case 'streamProfileChanged':
+      elements.btnStreamProfileApply.disabled = false;
+      elements.binningToggle.checked = msg.data.binning;
+      updateBinningStatus(msg.data.binning);
+      loadStreamState();
+      break;
+    case 'presetsChanged':
+      loadPresets();
+      break;
+    case 'controlsReset':
+      document.querySelectorAll('.preset-btn').forEach(btn => btn.classList.remove('active'));
+      loadControls();
+      break;
+    case 'binningChanging':
+      elements.binningToggle.disabled = true;
+      elements.binningToggle.checked = msg.data.binning;
+      elements.binningStatus.textContent = 'Restarting stream...';
+      elements.binningStatus.classList.remove('active');
+      break;
+    case 'binningChanged':
+      elements.binningToggle.disabled = false;
+      elements.binningToggle.checked = msg.data.binning;
+      updateBinningStatus(msg.data.binning);
+      loadStreamState();
+      break;
+    case 'streamRoiChanging':
+      elements.btnStreamRoiReset.disabled = true;
+      elements.streamRoiStatus.textContent = 'Restarting stream...';
+      break;
+    case 'streamRoiChanged':
+      elements.btnStreamRoiReset.disabled = false;
+      setStreamStateUI(msg.data);
+      break;
+    case 'recordingStarted':
+      setRecordingUI(true, msg.data.startTime);
+      break;
+    case 'recordingStopped':
+      setRecordingUI(false);
+      break;
+    case 'sequenceStarted':
+      setSequenceUI({ running: true, captured: 0, count: msg.data.count });
+      break;
+    case 'sequenceProgress':
+      setSequenceUI({ running: true, captured: msg.data.captured, count: msg.data.count });
+      break;
+    case 'sequenceComplete':
+      setSequenceUI({ running: false });
+      break;
+    case 'sequenceFailed':
+      setSequenceUI({ running: false });
+      console.error(msg.data.error);
+      break;
+    case 'timelapseStarted':
+      setTimelapseUI(msg.data);
+      break;
+    case 'timelapseProgress':
+      loadTimelapseStatus();
+      break;
+    case 'timelapseRendering':
+      setTimelapseUI({ ...timelapseState, state: 'rendering' });
+      break;
+    case 'timelapseError':
+      console.error('Timelapse:', msg.data.error);
+      break;
+    case 'timelapseComplete':
+      setTimelapseUI({ running: false });
+      break;
+    case 'stackStarted':
+    case 'stackUpdated':
+    case 'stackStopped':
+      setStackUI(msg.data);
+      break;
+    case 'exposureStats':
+      if (exposureMonitorRunning) renderExposureStats(msg.data);
+      break;
+    case 'exposureMonitorStarted':
+    case 'exposureMonitorStopped':
+      setExposureUI(msg.data);
+      break;
+    case 'focusStats':
+      addFocusSample(msg.data);
+      break;
+    case 'focusStarted':
+    case 'focusStopped':
+    case 'focusSettingsChanged':
+      setFocusUI(msg.data);
+      break;
+    case 'autofocusStarted':
+    case 'autofocusComplete':
+    case 'autofocusFailed':
+    case 'autofocusCancelled':
+      setAutofocusUI(msg.data);
+      break;
+    case 'autofocusProgress':
+      setAutofocusUI({ ...autofocusState, state: 'running', points: msg.data.points });
+      break;
+    case 'autoExposureStarted':
+    case 'autoExposureStopped':
+    case 'autoExposureSettingsChanged':
+      setAutoExposureUI(msg.data);
+      break;
+    case 'autoExposureUpdate':
+      autoExposure.last = msg.data;
+      renderAutoExposureText();
+      break;
+    case 'calibrationStarted':
+      setCalibrationBusy(msg.data.type);
+      break;
+    case 'calibrationFailed':
+      setCalibrationBusy(null);
+      break;
+    case 'calibrationChanged':
+      loadCalibration();
+      break;
+    case 'sessionChanged':
+      loadSessions().then(loadCaptures);
+      break;
     case 'captureComplete':
+    case 'captureDeleted':
+    case 'captureUpdated':
       loadCaptures();
       break;
     case 'streamError':
-      elements.streamOverlay.classList.remove('hidden');
-      break;
     case 'streamStopped':
-      elements.streamOverlay.classList.remove('hidden');
+      showStreamOverlay('Stream Offline');
+      schedulePlayerReconnect();
+      loadStreamHealth();
+      break;
+    case 'streamSupervisor':
+      loadStreamHealth();
+      break;
+    case 'streamOutputsChanged':
+      renderStreamOutputs(msg.data);
+      break;
+    case 'streamStatus':
+      setStreamStatus(msg.data);
       break;
   }
 }
@@ -113,7 +503,7 @@ async function api(endpoint, method = 'GET', body = null) {
 // Load Controls
 async function loadControls() {
   try {
-    const data = await api('/camera/controls');
+    const data = await api(cameraEndpoint('/controls'));
     if (data.success && data.controls) {
       const controls = data.controls;
 
@@ -199,13 +589,19 @@ async function loadControls() {
 // Update Control
 async function setControl(name, value) {
   try {
-    await api(`/camera/control/${name}`, 'PUT', { value });
+    await api(cameraEndpoint(`/control/${name}`), 'PUT', { value });
   } catch (err) {
     console.error(`Failed to set ${name}:`, err);
   }
 }
 
 function updateControlUI(name, value) {
+  // Ignore echoes for a control the local user is dragging right now
+  const active = document.activeElement;
+  if (active && active.tagName === 'INPUT' && active.dataset.control === name) {
+    return;
+  }
+
   switch (name) {
     case 'exposure_time_absolute':
       elements.exposure.value = value;
@@ -244,26 +640,123 @@ function updateControlUI(name, value) {
   }
 }
 
-// Apply Preset
+// Presets
+async function loadPresets() {
+  try {
+    const data = await api('/camera/presets');
+    if (data.success) {
+      renderPresets(data.presets);
+    }
+  } catch (err) {
+    console.error('Failed to load presets:', err);
+  }
+}
+
+function renderPresets(presets) {
+  const active = elements.presetButtons.querySelector('.preset-btn.active');
+  const activeName = active ? active.dataset.preset : null;
+
+  elements.presetButtons.innerHTML = presets.map(preset => `
+    <button class="preset-btn${preset.name === activeName ? ' active' : ''}" data-preset="${preset.name}">
+      ${escapeHtml(preset.label || preset.name)}
+      <span class="preset-delete" data-preset="${preset.name}" title="Delete preset">&times;</span>
+    </button>
+  `).join('');
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  // Also safe inside double-quoted attributes
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
 async function applyPreset(name) {
   try {
-    document.querySelectorAll('.preset-btn').forEach(btn => btn.classList.remove('active'));
-    event.target.classList.add('active');
+    document.querySelectorAll('.preset-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.preset === name);
+    });
 
-    await api(`/camera/preset/${name}`, 'POST');
+    await api(cameraEndpoint(`/preset/${name}`), 'POST');
     await loadControls();
   } catch (err) {
     console.error('Failed to apply preset:', err);
   }
 }
 
+async function saveCurrentAsPreset() {
+  const label = prompt('Preset name:');
+  if (!label) return;
+
+  const name = label.trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  if (!name) {
+    alert('Invalid preset name');
+    return;
+  }
+
+  const exists = elements.presetButtons.querySelector(`[data-preset="${name}"]`);
+  if (exists && !confirm(`Overwrite preset "${label}" with the current settings?`)) return;
+
+  try {
+    const data = await api(cameraEndpoint(`/presets/${name}/snapshot`), 'POST', { label: label.trim() });
+    if (data.success) {
+      await loadPresets();
+    } else {
+      alert('Save preset failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Save preset error: ' + err.message);
+  }
+}
+
+async function deletePreset(name) {
+  if (!confirm(`Delete preset "${name}"?`)) return;
+
+  try {
+    const data = await api(`/camera/presets/${name}`, 'DELETE');
+    if (data.success) {
+      await loadPresets();
+    } else {
+      alert('Delete preset failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Delete preset error: ' + err.message);
+  }
+}
+
+function exportPresets() {
+  window.location.href = `${API_BASE}/camera/presets/export`;
+}
+
+async function importPresets(file) {
+  try {
+    const presets = JSON.parse(await file.text());
+    const overwrite = confirm('Overwrite existing presets with the same name?');
+    const data = await api('/camera/presets/import', 'POST', { presets, overwrite });
+    if (data.success) {
+      await loadPresets();
+      const skipped = data.skipped.length ? `, skipped ${data.skipped.length}` : '';
+      alert(`Imported ${data.imported.length} preset(s)${skipped}`);
+    } else {
+      alert('Import failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Import error: ' + err.message);
+  } finally {
+    elements.presetImportFile.value = '';
+  }
+}
+
 // Capture Photo
 async function capturePhoto() {
   elements.btnPhoto.disabled = true;
   elements.btnPhoto.textContent = 'Capturing...';
 
   try {
-    const data = await api('/capture/photo', 'POST');
+    const data = await api(cameraEndpoint('/capture/photo'), 'POST', {
+      format: elements.photoFormat.value,
+      ...captureInfo()
+    });
     if (data.success) {
       loadCaptures();
     } else {
@@ -277,6 +770,14 @@ async function capturePhoto() {
   }
 }
 
+// Target name and notes stored in the metadata of every capture
+function captureInfo() {
+  return {
+    target: elements.captureTarget.value.trim() || undefined,
+    notes: elements.captureNotes.value.trim() || undefined
+  };
+}
+
 // Video Recording
 async function toggleRecording() {
   if (isRecording) {
@@ -288,15 +789,9 @@ async function toggleRecording() {
 
 async function startRecording() {
   try {
-    const data = await api('/capture/video/start', 'POST');
+    const data = await api(cameraEndpoint('/capture/video/start'), 'POST', captureInfo());
     if (data.success) {
-      isRecording = true;
-      recordingSeconds = 0;
-      elements.btnVideo.textContent = 'Stop Recording';
-      elements.btnVideo.classList.add('recording');
-      elements.recordingStatus.classList.remove('hidden');
-      updateRecordingTime();
-      recordingTimer = setInterval(updateRecordingTime, 1000);
+      setRecordingUI(true, data.startTime);
     } else {
       alert('Recording failed: ' + data.error);
     }
@@ -307,12 +802,8 @@ async function startRecording() {
 
 async function stopRecording() {
   try {
-    const data = await api('/capture/video/stop', 'POST');
-    isRecording = false;
-    clearInterval(recordingTimer);
-    elements.btnVideo.textContent = 'Start Recording';
-    elements.btnVideo.classList.remove('recording');
-    elements.recordingStatus.classList.add('hidden');
+    const data = await api(cameraEndpoint('/capture/video/stop'), 'POST');
+    setRecordingUI(false);
 
     if (data.success) {
       loadCaptures();
@@ -322,139 +813,2496 @@ async function stopRecording() {
   }
 }
 
+async function loadRecordingStatus() {
+  try {
+    const data = await api(cameraEndpoint('/capture/video/status'));
+    setRecordingUI(data.isRecording, data.startTime);
+  } catch (err) {
+    console.error('Failed to load recording status:', err);
+  }
+}
+
+// Recording state is shared by all clients, so the timer runs from the server's start time
+function setRecordingUI(active, startTime) {
+  clearInterval(recordingTimer);
+  isRecording = active;
+  elements.btnVideo.classList.toggle('recording', active);
+  elements.recordingStatus.classList.toggle('hidden', !active);
+
+  if (active) {
+    recordingStartTime = startTime ? new Date(startTime).getTime() : Date.now();
+    elements.btnVideo.textContent = 'Stop Recording';
+    updateRecordingTime();
+    recordingTimer = setInterval(updateRecordingTime, 1000);
+  } else {
+    recordingStartTime = null;
+    elements.btnVideo.textContent = 'Start Recording';
+  }
+}
+
 function updateRecordingTime() {
-  recordingSeconds++;
-  const mins = Math.floor(recordingSeconds / 60).toString().padStart(2, '0');
-  const secs = (recordingSeconds % 60).toString().padStart(2, '0');
+  const elapsed = Math.max(0, Math.floor((Date.now() - recordingStartTime) / 1000));
+  const mins = Math.floor(elapsed / 60).toString().padStart(2, '0');
+  const secs = (elapsed % 60).toString().padStart(2, '0');
   elements.recordingTime.textContent = `${mins}:${secs}`;
 }
 
-// Load Captures
-async function loadCaptures() {
+// Burst Sequence
+async function toggleSequence() {
+  if (sequenceRunning) {
+    await cancelSequence();
+  } else {
+    await startSequence();
+  }
+}
+
+async function startSequence() {
+  const count = parseInt(elements.sequenceCount.value);
+  const interval = parseFloat(elements.sequenceInterval.value) || 0;
+  elements.btnSequence.disabled = true;
+
   try {
-    const data = await api('/capture/list');
+    const data = await api(cameraEndpoint('/capture/sequence'), 'POST', { count, interval, ...captureInfo() });
     if (data.success) {
-      renderGallery(data.photos, data.videos);
+      setSequenceUI({ running: true, captured: 0, count: data.count });
+    } else {
+      alert('Sequence failed: ' + data.error);
     }
   } catch (err) {
-    console.error('Failed to load captures:', err);
+    alert('Sequence error: ' + err.message);
+  } finally {
+    elements.btnSequence.disabled = false;
   }
 }
 
-// Binning Control
-async function loadBinningStatus() {
+async function cancelSequence() {
   try {
-    const data = await api('/stream/binning');
-    if (data.success) {
-      elements.binningToggle.checked = data.binning;
-      updateBinningStatus(data.binning);
+    const data = await api(cameraEndpoint('/capture/sequence/cancel'), 'POST');
+    if (!data.success) {
+      alert('Cancel failed: ' + data.error);
     }
   } catch (err) {
-    console.error('Failed to load binning status:', err);
+    alert('Cancel error: ' + err.message);
   }
 }
 
-async function setBinning(enabled) {
-  elements.binningToggle.disabled = true;
-  elements.binningStatus.textContent = 'Restarting stream...';
-  elements.binningStatus.classList.remove('active');
+async function loadSequenceStatus() {
+  try {
+    const data = await api(cameraEndpoint('/capture/sequence/status'));
+    setSequenceUI(data);
+  } catch (err) {
+    console.error('Failed to load sequence status:', err);
+  }
+}
+
+function setSequenceUI(status) {
+  sequenceRunning = status.running;
+  elements.btnSequence.textContent = status.running ? 'Cancel Sequence' : 'Start Sequence';
+  elements.btnSequence.classList.toggle('running', status.running);
+  elements.sequenceStatus.classList.toggle('hidden', !status.running);
+
+  if (status.running) {
+    elements.sequenceProgress.max = status.count;
+    elements.sequenceProgress.value = status.captured;
+    elements.sequenceText.textContent = `${status.captured} / ${status.count}`;
+  }
+}
+
+// Timelapse
+async function toggleTimelapse() {
+  if (timelapseState.running) {
+    await stopTimelapse();
+  } else {
+    await startTimelapse();
+  }
+}
+
+async function startTimelapse() {
+  const body = {
+    interval: parseFloat(elements.timelapseInterval.value),
+    count: parseInt(elements.timelapseCount.value) || null,
+    duration: (parseFloat(elements.timelapseDuration.value) || 0) * 60 || null,
+    video: elements.timelapseVideo.checked,
+    ...captureInfo()
+  };
+  elements.btnTimelapse.disabled = true;
 
   try {
-    const data = await api('/stream/binning', 'POST', { enabled });
+    const data = await api(cameraEndpoint('/capture/timelapse/start'), 'POST', body);
     if (data.success) {
-      updateBinningStatus(data.binning);
+      setTimelapseUI(data);
     } else {
-      alert('Failed to change binning: ' + data.error);
-      elements.binningToggle.checked = !enabled;
+      alert('Timelapse failed: ' + data.error);
     }
   } catch (err) {
-    alert('Binning error: ' + err.message);
-    elements.binningToggle.checked = !enabled;
+    alert('Timelapse error: ' + err.message);
   } finally {
-    elements.binningToggle.disabled = false;
+    elements.btnTimelapse.disabled = false;
   }
 }
 
-function updateBinningStatus(enabled) {
-  if (enabled) {
-    elements.binningStatus.textContent = '4x brighter';
-    elements.binningStatus.classList.add('active');
-  } else {
-    elements.binningStatus.textContent = '';
-    elements.binningStatus.classList.remove('active');
+async function stopTimelapse() {
+  try {
+    const data = await api(cameraEndpoint('/capture/timelapse/stop'), 'POST');
+    if (!data.success) {
+      alert('Stop timelapse failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Stop timelapse error: ' + err.message);
   }
 }
 
-function renderGallery(photos, videos) {
-  const items = [
-    ...photos.map(p => ({ ...p, type: 'photo' })),
-    ...videos.map(v => ({ ...v, type: 'video' }))
-  ].sort((a, b) => new Date(b.created) - new Date(a.created));
+async function loadTimelapseStatus() {
+  try {
+    const data = await api(cameraEndpoint('/capture/timelapse/status'));
+    setTimelapseUI(data);
+  } catch (err) {
+    console.error('Failed to load timelapse status:', err);
+  }
+}
 
-  if (items.length === 0) {
-    elements.gallery.innerHTML = '<p class="gallery-empty">No captures yet</p>';
+function setTimelapseUI(status) {
+  timelapseState = status;
+  clearInterval(timelapseTimer);
+
+  const running = status.running && status.state === 'running';
+  elements.btnTimelapse.textContent = running ? 'Stop Timelapse' : 'Start Timelapse';
+  elements.btnTimelapse.classList.toggle('running', running);
+  elements.btnTimelapse.disabled = status.running && !running;
+  elements.timelapseStatus.classList.toggle('hidden', !status.running);
+
+  if (status.running) {
+    updateTimelapseText();
+    timelapseTimer = setInterval(updateTimelapseText, 1000);
+  }
+}
+
+function updateTimelapseText() {
+  const status = timelapseState;
+  if (status.state === 'rendering') {
+    elements.timelapseText.textContent = `Rendering video from ${status.captured} frames...`;
     return;
   }
 
-  elements.gallery.innerHTML = items.map(item => `
-    <div class="gallery-item" data-filename="${item.filename}">
-      ${item.type === 'video' ? '<span class="video-badge">VIDEO</span>' : ''}
-      <img src="${item.type === 'photo' ? `/api/capture/${item.filename}` : '/api/capture/' + item.filename.replace('.mp4', '.jpg')}"
-           alt="${item.filename}"
-           onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 75%22><rect fill=%22%232d2d2d%22 width=%22100%22 height=%2275%22/><text x=%2250%22 y=%2240%22 text-anchor=%22middle%22 fill=%22%23888%22 font-size=%2210%22>${item.type.toUpperCase()}</text></svg>'">
-      <button class="delete-btn" onclick="deleteCapture('${item.filename}', event)">X</button>
-    </div>
-  `).join('');
+  const total = status.count ? ` / ${status.count}` : '';
+  const next = status.nextShotTime
+    ? Math.max(0, Math.round((new Date(status.nextShotTime) - Date.now()) / 1000))
+    : null;
+  elements.timelapseText.textContent = `${status.captured}${total} frames` + (next !== null ? ` · next in ${next}s` : '');
+}
 
-  // Add click handlers for viewing
-  document.querySelectorAll('.gallery-item').forEach(item => {
-    item.addEventListener('click', (e) => {
-      if (e.target.classList.contains('delete-btn')) return;
-      const filename = item.dataset.filename;
-      window.open(`/api/capture/${filename}`, '_blank');
-    });
+// Live exposure statistics
+async function toggleExposureMonitor() {
+  elements.btnExposure.disabled = true;
+  try {
+    const data = exposureMonitorRunning
+      ? await api(cameraEndpoint('/stream/stats/stop'), 'POST')
+      : await api(cameraEndpoint('/stream/stats/start'), 'POST');
+    if (data.success) {
+      setExposureUI(data);
+    } else {
+      alert('Exposure statistics failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Exposure statistics error: ' + err.message);
+  } finally {
+    elements.btnExposure.disabled = false;
+  }
+}
+
+async function loadExposureStatus() {
+  try {
+    const data = await api(cameraEndpoint('/stream/stats'));
+    if (data.success) {
+      setExposureUI(data);
+    }
+  } catch (err) {
+    console.error('Failed to load exposure statistics:', err);
+  }
+}
+
+function setExposureUI(status) {
+  exposureMonitorRunning = status.running;
+  elements.btnExposure.classList.toggle('active', status.running);
+  elements.exposurePanel.classList.toggle('hidden', !status.running);
+  if (status.running && status.stats) {
+    renderExposureStats(status.stats);
+  } else {
+    elements.exposureText.textContent = 'Waiting for frame...';
+    const canvas = elements.exposureHistogram;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+  }
+}
+
+function renderExposureStats(stats) {
+  const canvas = elements.exposureHistogram;
+  const ctx = canvas.getContext('2d');
+  const { histogram } = stats;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  // Square-root scale like the viewer, so the faint star tail shows next to the sky peak
+  const peak = Math.max(1, ...histogram.r, ...histogram.g, ...histogram.b);
+  const bar = (bins, v) => Math.sqrt(bins[v] / peak) * canvas.height;
+
+  ctx.globalCompositeOperation = 'lighter';
+  [['r', 'rgb(200, 40, 40)'], ['g', 'rgb(40, 200, 40)'], ['b', 'rgb(40, 80, 220)']].forEach(([channel, color]) => {
+    ctx.fillStyle = color;
+    for (let v = 0; v < 256; v++) {
+      const h = bar(histogram[channel], v);
+      ctx.fillRect(v, canvas.height - h, 1, h);
+    }
   });
+  ctx.globalCompositeOperation = 'source-over';
+
+  // Luminance as an outline on top
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+  ctx.beginPath();
+  for (let v = 0; v < 256; v++) {
+    const y = canvas.height - Math.min(canvas.height, Math.sqrt(histogram.lum[v] / peak) * canvas.height);
+    if (v === 0) ctx.moveTo(v, y); else ctx.lineTo(v, y);
+  }
+  ctx.stroke();
+
+  // Mark the saturation level
+  ctx.fillStyle = 'rgba(255, 82, 82, 0.5)';
+  ctx.fillRect(stats.saturationLevel, 0, 1, canvas.height);
+
+  const { mean, max } = stats;
+  const clipping = stats.saturated > 0 ? ' class="clipping"' : '';
+  elements.exposureText.innerHTML = [
+    `Mean ${mean.lum.toFixed(1)} (R ${mean.r.toFixed(0)} G ${mean.g.toFixed(0)} B ${mean.b.toFixed(0)})`,
+    `Max ${max.lum} (R ${max.r} G ${max.g} B ${max.b})`,
+    `<span${clipping}>Saturated ${stats.saturated.toFixed(2)}%</span> · Black ${stats.black.toFixed(1)}%`
+  ].join('<br>');
 }
 
-async function deleteCapture(filename, event) {
-  event.stopPropagation();
-  if (!confirm('Delete this capture?')) return;
+// Live Stacking
+async function toggleStack() {
+  elements.btnStack.disabled = true;
+  try {
+    const data = stackRunning
+      ? await api(cameraEndpoint('/stack/stop'), 'POST')
+      : await api(cameraEndpoint('/stack/start'), 'POST', {
+        mode: elements.stackMode.value,
+        align: elements.stackAlign.checked
+      });
+    if (data.success) {
+      setStackUI(data);
+    } else {
+      alert('Live stack failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Live stack error: ' + err.message);
+  } finally {
+    elements.btnStack.disabled = false;
+  }
+}
 
+async function resetStack() {
   try {
-    await api(`/capture/${filename}`, 'DELETE');
-    loadCaptures();
+    await api(cameraEndpoint('/stack/reset'), 'POST');
   } catch (err) {
-    alert('Delete failed: ' + err.message);
+    alert('Reset stack error: ' + err.message);
   }
 }
 
-// Reset to Defaults
-async function resetDefaults() {
-  if (!confirm('Reset all camera settings to defaults?')) return;
+async function saveStack() {
+  elements.btnStackSave.disabled = true;
+  try {
+    const data = await api(cameraEndpoint('/stack/save'), 'POST', captureInfo());
+    if (!data.success) {
+      alert('Save stack failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Save stack error: ' + err.message);
+  } finally {
+    elements.btnStackSave.disabled = false;
+  }
+}
 
+async function loadStackStatus() {
   try {
-    await api('/camera/reset', 'POST');
-    await loadControls();
-    document.querySelectorAll('.preset-btn').forEach(btn => btn.classList.remove('active'));
+    const data = await api(cameraEndpoint('/stack/status'));
+    if (data.success) {
+      setStackUI(data);
+    }
   } catch (err) {
-    alert('Reset failed: ' + err.message);
+    console.error('Failed to load stack status:', err);
   }
 }
 
-// Event Listeners
-function setupEventListeners() {
-  // Debounce helper
-  let debounceTimer;
-  const debounce = (fn, delay) => {
-    return (...args) => {
-      clearTimeout(debounceTimer);
-      debounceTimer = setTimeout(() => fn(...args), delay);
-    };
-  };
+function setStackUI(status) {
+  stackRunning = status.running;
+  elements.btnStack.textContent = status.running ? 'Stop Stacking' : 'Start Stacking';
+  elements.btnStack.classList.toggle('running', status.running);
+  elements.stackMode.value = status.mode;
+  elements.stackAlign.checked = status.align;
+  elements.stackPreview.classList.toggle('hidden', !status.running && status.frames === 0);
 
-  // Control name mapping
-  const controlMap = {
-    exposure: 'exposure_time_absolute',
+  const rejected = status.rejected ? `, ${status.rejected} rejected` : '';
+  elements.stackText.textContent = `${status.frames} frames stacked${rejected}`;
+
+  if (status.frames > 0) {
+    refreshStackImage(status.version);
+  }
+}
+
+// Only one preview request in flight; a newer version is picked up on load
+function refreshStackImage(version) {
+  stackImageVersion = version;
+  if (stackImageLoading) return;
+
+  stackImageLoading = true;
+  const requested = version;
+  elements.stackImage.onload = elements.stackImage.onerror = () => {
+    stackImageLoading = false;
+    if (stackImageVersion !== requested) {
+      refreshStackImage(stackImageVersion);
+    }
+  };
+  elements.stackImage.src = `${API_BASE}${cameraEndpoint('/stack/image')}?v=${version}`;
+}
+
+// Focus assist
+const FOCUS_HISTORY_LENGTH = 120;
+// Bahtinov offsets below this (pixels) count as focused
+const BAHTINOV_TOLERANCE = 0.5;
+
+function focusRoi() {
+  const size = parseFloat(elements.focusRoi.value);
+  return { x: (1 - size) / 2, y: (1 - size) / 2, width: size, height: size };
+}
+
+async function toggleFocusAssist() {
+  elements.btnFocus.disabled = true;
+  try {
+    const data = focusAssist.running
+      ? await api(cameraEndpoint('/focus/stop'), 'POST')
+      : await api(cameraEndpoint('/focus/start'), 'POST', {
+        roi: focusRoi(),
+        bahtinov: elements.focusBahtinov.checked
+      });
+    if (data.success) {
+      setFocusUI(data);
+    } else {
+      alert('Focus assist failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Focus assist error: ' + err.message);
+  } finally {
+    elements.btnFocus.disabled = false;
+  }
+}
+
+async function updateFocusSettings() {
+  if (!focusAssist.running) return;
+  try {
+    const data = await api(cameraEndpoint('/focus/settings'), 'PUT', {
+      roi: focusRoi(),
+      bahtinov: elements.focusBahtinov.checked
+    });
+    if (!data.success) {
+      alert('Focus assist update failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Focus assist update error: ' + err.message);
+  }
+}
+
+async function resetFocusAssist() {
+  try {
+    await api(cameraEndpoint('/focus/reset'), 'POST');
+  } catch (err) {
+    alert('Reset focus assist error: ' + err.message);
+  }
+}
+
+async function loadFocusStatus() {
+  try {
+    const data = await api(cameraEndpoint('/focus/status'));
+    if (data.success) {
+      setFocusUI(data);
+    }
+  } catch (err) {
+    console.error('Failed to load focus assist status:', err);
+  }
+}
+
+function setFocusUI(status) {
+  focusAssist = {
+    running: status.running,
+    history: status.history || [],
+    best: status.best || {},
+    bahtinov: status.bahtinov
+  };
+  elements.btnFocus.textContent = status.running ? 'Stop Focus Assist' : 'Start Focus Assist';
+  elements.btnFocus.classList.toggle('running', status.running);
+  elements.focusPanel.classList.toggle('hidden', !status.running && focusAssist.history.length === 0);
+  elements.focusBahtinov.checked = status.bahtinov;
+  if (status.roi && [...elements.focusRoi.options].some(o => parseFloat(o.value) === status.roi.width)) {
+    elements.focusRoi.value = String(status.roi.width);
+  }
+  renderFocusAssist();
+}
+
+function addFocusSample(sample) {
+  focusAssist.history.push(sample);
+  if (focusAssist.history.length > FOCUS_HISTORY_LENGTH) {
+    focusAssist.history.shift();
+  }
+  focusAssist.best = sample.best;
+  renderFocusAssist();
+}
+
+// Graph of the chosen metric over time; HFR falls and sharpness rises towards focus
+function renderFocusAssist() {
+  const canvas = elements.focusGraph;
+  const ctx = canvas.getContext('2d');
+  const metric = elements.focusMetric.value;
+  const { history, best } = focusAssist;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  const points = history
+    .map((sample, i) => ({ i, value: sample[metric] }))
+    .filter(point => point.value !== null && point.value !== undefined);
+  const latest = history[history.length - 1];
+
+  if (points.length > 0) {
+    const values = points.map(point => point.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || 1;
+    const pad = 8;
+    const x = i => (i / (FOCUS_HISTORY_LENGTH - 1)) * canvas.width;
+    const y = value => canvas.height - pad - ((value - min) / span) * (canvas.height - pad * 2);
+
+    if (best[metric] !== null && best[metric] !== undefined && best[metric] >= min && best[metric] <= max) {
+      ctx.strokeStyle = 'rgba(46, 125, 50, 0.8)';
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(0, y(best[metric]));
+      ctx.lineTo(canvas.width, y(best[metric]));
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    ctx.strokeStyle = '#e0e0e0';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach((point, n) => {
+      if (n === 0) ctx.moveTo(x(point.i), y(point.value));
+      else ctx.lineTo(x(point.i), y(point.value));
+    });
+    ctx.stroke();
+    ctx.lineWidth = 1;
+  }
+
+  if (!latest) {
+    elements.focusText.textContent = 'Waiting for frame...';
+    elements.focusBahtinovText.classList.add('hidden');
+    return;
+  }
+
+  const format = value => (value === null || value === undefined ? '-' : Number(value).toFixed(metric === 'hfr' ? 2 : 0));
+  const label = metric === 'hfr' ? 'HFR' : 'Sharpness';
+  const unit = metric === 'hfr' ? ' px' : '';
+  elements.focusText.textContent = `${label} ${format(latest[metric])}${unit} (best ${format(best[metric])}${unit}) · ${latest.stars} stars`;
+
+  const bahtinov = latest.bahtinov;
+  elements.focusBahtinovText.classList.toggle('hidden', !focusAssist.bahtinov || !bahtinov);
+  if (bahtinov && bahtinov.detected) {
+    const inFocus = Math.abs(bahtinov.offset) < BAHTINOV_TOLERANCE;
+    const offset = `${bahtinov.offset > 0 ? '+' : ''}${bahtinov.offset.toFixed(2)} px`;
+    elements.focusBahtinovText.innerHTML = `Bahtinov offset ${offset}` +
+      (inFocus ? ' <span class="in-focus">In focus</span>' : '');
+  } else if (bahtinov) {
+    elements.focusBahtinovText.textContent = 'Bahtinov pattern not found - centre a bright star in the region';
+  }
+}
+
+// Auto exposure: hold a target brightness in a region drawn over the stream
+function autoExposureSettings() {
+  const settings = {
+    mode: elements.aeMode.value,
+    target: parseInt(elements.aeTarget.value),
+    tolerance: parseInt(elements.aeTolerance.value),
+    maxGain: elements.aeMaxGain.value === '' ? null : parseInt(elements.aeMaxGain.value)
+  };
+  if (autoExposure.roi) settings.roi = autoExposure.roi;
+  return settings;
+}
+
+async function toggleAutoExposure() {
+  elements.btnAe.disabled = true;
+  try {
+    const data = autoExposure.running
+      ? await api(cameraEndpoint('/auto-exposure/stop'), 'POST')
+      : await api(cameraEndpoint('/auto-exposure/start'), 'POST', autoExposureSettings());
+    if (data.success) {
+      setAutoExposureUI(data);
+    } else {
+      alert('Auto exposure failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Auto exposure error: ' + err.message);
+  } finally {
+    elements.btnAe.disabled = false;
+  }
+}
+
+async function updateAutoExposureSettings() {
+  if (!autoExposure.running) return;
+  try {
+    const data = await api(cameraEndpoint('/auto-exposure/settings'), 'PUT', autoExposureSettings());
+    if (!data.success) {
+      alert('Auto exposure update failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Auto exposure update error: ' + err.message);
+  }
+}
+
+async function loadAutoExposureStatus() {
+  try {
+    const data = await api(cameraEndpoint('/auto-exposure'));
+    if (data.success) {
+      setAutoExposureUI(data);
+    }
+  } catch (err) {
+    console.error('Failed to load auto exposure status:', err);
+  }
+}
+
+function setAutoExposureUI(status) {
+  const { settings } = status;
+  autoExposure = { running: status.running, roi: settings.roi, last: status.last, settings };
+  elements.btnAe.textContent = status.running ? 'Stop Auto Exposure' : 'Start Auto Exposure';
+  elements.btnAe.classList.toggle('running', status.running);
+  elements.aeMode.value = settings.mode;
+  elements.aeTarget.value = settings.target;
+  elements.aeTolerance.value = settings.tolerance;
+  elements.aeMaxGain.value = settings.maxGain ?? '';
+  showRoiBox(settings.roi, status.running);
+  renderAutoExposureText();
+  renderVideoOverlay();
+}
+
+function renderAutoExposureText() {
+  const { running, last, settings } = autoExposure;
+  if (!running) {
+    elements.aeText.textContent = '';
+    return;
+  }
+  if (!last) {
+    elements.aeText.textContent = 'Waiting for frame...';
+    return;
+  }
+  const states = { adjusting: 'Adjusting', locked: 'Locked', limit: 'At limit' };
+  elements.aeText.textContent = `${states[last.state]}: ${last.value} / ${settings.target}` +
+    ` | exposure ${last.exposure}` + (last.gain !== null ? ` | gain ${last.gain}` : '') +
+    ` | clipped ${last.saturated}%`;
+}
+
+function showRoiBox(roi, visible) {
+  elements.roiBox.classList.toggle('hidden', !visible || !roi);
+  if (!roi) return;
+  elements.roiBox.style.left = `${roi.x * 100}%`;
+  elements.roiBox.style.top = `${roi.y * 100}%`;
+  elements.roiBox.style.width = `${roi.width * 100}%`;
+  elements.roiBox.style.height = `${roi.height * 100}%`;
+}
+
+// The drawing layer serves both the auto exposure region ('exposure') and the stream crop ('stream')
+function toggleRoiDrawing(target) {
+  roiTarget = roiTarget === target ? null : target;
+  elements.roiLayer.classList.toggle('drawing', roiTarget !== null);
+  elements.btnAeRoi.classList.toggle('active', roiTarget === 'exposure');
+  elements.btnStreamRoi.classList.toggle('active', roiTarget === 'stream');
+  showRoiBox(autoExposure.roi, roiTarget === 'exposure' || autoExposure.running);
+}
+
+// Pointer position as a fraction of the stream area
+function roiPoint(e) {
+  const rect = elements.roiLayer.getBoundingClientRect();
+  return {
+    x: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1),
+    y: Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1)
+  };
+}
+
+function roiFromDrag(a, b) {
+  const round = (v) => Math.round(v * 1000) / 1000;
+  // Rounding the corners rather than the size keeps the box inside the frame
+  const x = round(Math.min(a.x, b.x));
+  const y = round(Math.min(a.y, b.y));
+  return {
+    x,
+    y,
+    width: round(round(Math.max(a.x, b.x)) - x),
+    height: round(round(Math.max(a.y, b.y)) - y)
+  };
+}
+
+function setupRoiDrawing() {
+  elements.roiLayer.addEventListener('pointerdown', (e) => {
+    roiDrag = roiPoint(e);
+    elements.roiLayer.setPointerCapture(e.pointerId);
+  });
+  elements.roiLayer.addEventListener('pointermove', (e) => {
+    if (roiDrag) showRoiBox(roiFromDrag(roiDrag, roiPoint(e)), true);
+  });
+  elements.roiLayer.addEventListener('pointerup', (e) => {
+    if (!roiDrag) return;
+    const start = roiDrag;
+    const end = roiPoint(e);
+    const target = roiTarget;
+    roiDrag = null;
+    toggleRoiDrawing(target);
+    if (target === 'stream') {
+      pickStreamRoi(start, end);
+      return;
+    }
+
+    const roi = roiFromDrag(start, end);
+    // Ignore clicks that didn't draw anything
+    if (roi.width < 0.02 || roi.height < 0.02) {
+      showRoiBox(autoExposure.roi, autoExposure.running);
+      return;
+    }
+    autoExposure.roi = roi;
+    showRoiBox(roi, autoExposure.running);
+    updateAutoExposureSettings();
+  });
+}
+
+// Autofocus sweep
+async function toggleAutofocus() {
+  elements.btnAutofocus.disabled = true;
+  try {
+    const data = autofocusState.state === 'running'
+      ? await api(cameraEndpoint('/focus/autofocus/cancel'), 'POST')
+      : await api(cameraEndpoint('/focus/autofocus'), 'POST', {
+        start: parseInt(elements.autofocusStart.value),
+        end: parseInt(elements.autofocusEnd.value),
+        steps: parseInt(elements.autofocusSteps.value),
+        metric: elements.focusMetric.value,
+        roi: focusRoi()
+      });
+    if (!data.success) {
+      alert('Autofocus failed: ' + data.error);
+    } else if (data.state === 'running') {
+      setAutofocusUI(data);
+    }
+  } catch (err) {
+    alert('Autofocus error: ' + err.message);
+  } finally {
+    elements.btnAutofocus.disabled = false;
+  }
+}
+
+async function loadAutofocusStatus() {
+  try {
+    const data = await api(cameraEndpoint('/focus/autofocus'));
+    if (data.success) {
+      setAutofocusUI(data);
+    }
+  } catch (err) {
+    console.error('Failed to load autofocus status:', err);
+  }
+}
+
+function setAutofocusUI(status) {
+  autofocusState = status;
+  const running = status.state === 'running';
+  elements.btnAutofocus.textContent = running ? 'Cancel Autofocus' : 'Autofocus';
+  elements.btnAutofocus.classList.toggle('running', running);
+  elements.autofocusPanel.classList.toggle('hidden', status.state === 'idle');
+  if (status.state === 'idle') return;
+
+  const { params, points = [] } = status;
+  const label = params.metric === 'hfr' ? 'HFR' : 'sharpness';
+  let text;
+  switch (status.state) {
+    case 'running':
+      text = `Sweeping ${label}: step ${points.length} / ${status.positions.length}`;
+      break;
+    case 'complete':
+      text = `Focused at ${status.best}` + (status.edge ? ' - best at the edge of the range, widen it and retry' : '');
+      break;
+    case 'cancelled':
+      text = 'Cancelled - focus restored';
+      break;
+    default:
+      text = `Failed: ${status.error}`;
+  }
+  elements.autofocusText.textContent = text;
+  renderAutofocusCurve(status);
+}
+
+// V-curve: measured points, the fitted parabola and the chosen position
+function renderAutofocusCurve({ params, points = [], fit, best }) {
+  const canvas = elements.autofocusCurve;
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  const usable = points.filter(point => point.value !== null);
+  if (usable.length === 0) return;
+
+  const values = usable.map(point => point.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const pad = 10;
+  const x = position => pad + (position - params.start) / (params.end - params.start) * (canvas.width - pad * 2);
+  const y = value => canvas.height - pad - (value - min) / span * (canvas.height - pad * 2);
+
+  if (fit) {
+    ctx.strokeStyle = 'rgba(139, 0, 0, 0.9)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let started = false;
+    for (let px = pad; px <= canvas.width - pad; px += 2) {
+      const position = params.start + (px - pad) / (canvas.width - pad * 2) * (params.end - params.start);
+      const value = fit.a * position * position + fit.b * position + fit.c;
+      // Only draw the fit where it stays on the chart
+      if (value < min - span * 0.1 || value > max + span * 0.1) {
+        started = false;
+        continue;
+      }
+      if (!started) ctx.moveTo(px, y(value));
+      else ctx.lineTo(px, y(value));
+      started = true;
+    }
+    ctx.stroke();
+    ctx.lineWidth = 1;
+  }
+
+  ctx.fillStyle = '#e0e0e0';
+  for (const point of usable) {
+    ctx.beginPath();
+    ctx.arc(x(point.position), y(point.value), 3, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  if (best !== null && best !== undefined) {
+    ctx.strokeStyle = 'rgba(46, 125, 50, 0.9)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(x(best), 0);
+    ctx.lineTo(x(best), canvas.height);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+}
+
+// Calibration masters
+async function loadCalibration() {
+  try {
+    const data = await api(cameraEndpoint('/capture/calibration'));
+    if (data.success) {
+      elements.applyDark.checked = data.settings.applyDark;
+      elements.applyFlat.checked = data.settings.applyFlat;
+      setCalibrationBusy(data.busy);
+      renderCalibration(data.sets);
+    }
+  } catch (err) {
+    console.error('Failed to load calibration:', err);
+  }
+}
+
+function renderCalibration(sets) {
+  if (sets.length === 0) {
+    elements.calibrationList.innerHTML = '<li><span>No masters yet</span></li>';
+    return;
+  }
+
+  elements.calibrationList.innerHTML = sets.map(set => {
+    const exposure = set.exposure !== null ? `exp ${set.exposure}` : 'exp ?';
+    const gain = set.gain !== null ? `gain ${set.gain}` : 'gain ?';
+    return `
+      <li>
+        <span class="calibration-type">${set.type}</span>
+        <span>${exposure} · ${gain} · ${set.mode} · ${set.frames} frames</span>
+        <button class="quick-btn calibration-delete" data-id="${escapeHtml(set.id)}">Delete</button>
+      </li>
+    `;
+  }).join('');
+}
+
+function setCalibrationBusy(type) {
+  elements.btnDark.disabled = type !== null;
+  elements.btnFlat.disabled = type !== null;
+  elements.btnDark.textContent = type === 'dark' ? 'Capturing...' : 'Capture Dark';
+  elements.btnFlat.textContent = type === 'flat' ? 'Capturing...' : 'Capture Flat';
+}
+
+async function captureCalibration(type) {
+  const hint = type === 'dark'
+    ? 'Cover the telescope for the dark frames.'
+    : 'Point the telescope at an evenly lit flat panel or sky for the flat frames.';
+  if (!confirm(`${hint} Continue?`)) return;
+
+  setCalibrationBusy(type);
+  try {
+    const data = await api(cameraEndpoint(`/capture/calibration/${type}`), 'POST', {
+      frames: parseInt(elements.calibrationFrames.value)
+    });
+    if (!data.success) {
+      alert('Calibration capture failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Calibration error: ' + err.message);
+  } finally {
+    setCalibrationBusy(null);
+    loadCalibration();
+  }
+}
+
+async function updateCalibrationSettings() {
+  try {
+    await api(cameraEndpoint('/capture/calibration/settings'), 'PUT', {
+      applyDark: elements.applyDark.checked,
+      applyFlat: elements.applyFlat.checked
+    });
+  } catch (err) {
+    console.error('Failed to update calibration settings:', err);
+  }
+}
+
+async function deleteCalibration(id) {
+  if (!confirm(`Delete calibration master ${id}?`)) return;
+
+  try {
+    const data = await api(cameraEndpoint(`/capture/calibration/${encodeURIComponent(id)}`), 'DELETE');
+    if (!data.success) {
+      alert('Delete failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Delete error: ' + err.message);
+  }
+}
+
+// Observing sessions
+async function loadSessions() {
+  try {
+    const data = await api('/sessions');
+    if (data.success) {
+      sessions = data.sessions;
+      activeSession = sessions.find(s => s.active) || null;
+      renderActiveSession();
+    }
+  } catch (err) {
+    console.error('Failed to load sessions:', err);
+  }
+}
+
+function renderActiveSession() {
+  elements.sessionForm.classList.toggle('hidden', activeSession !== null);
+  elements.sessionActive.classList.toggle('hidden', activeSession === null);
+  if (!activeSession) return;
+
+  const location = activeSession.location ? ` · ${escapeHtml(activeSession.location)}` : '';
+  elements.sessionActive.querySelector('span').innerHTML =
+    `<strong>${escapeHtml(activeSession.target)}</strong>${location} · since ${new Date(activeSession.startedAt).toLocaleTimeString()}`;
+}
+
+async function startSession() {
+  const target = elements.sessionTarget.value.trim();
+  if (!target) {
+    alert('Enter a target to start a session');
+    return;
+  }
+
+  try {
+    const data = await api('/sessions', 'POST', {
+      target,
+      location: elements.sessionLocation.value.trim() || undefined,
+      notes: elements.sessionNotes.value.trim() || undefined
+    });
+    if (data.success) {
+      localStorage.setItem('sessionLocation', elements.sessionLocation.value.trim());
+      elements.sessionTarget.value = '';
+      elements.sessionNotes.value = '';
+    } else {
+      alert('Start session failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Session error: ' + err.message);
+  }
+}
+
+async function endSession() {
+  try {
+    const data = await api('/sessions/end', 'POST');
+    if (!data.success) {
+      alert('End session failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Session error: ' + err.message);
+  }
+}
+
+// Load Captures
+async function loadCaptures() {
+  try {
+    const data = await api('/capture/list');
+    if (data.success) {
+      renderGallery(data.photos, data.videos, data.sequences);
+    }
+  } catch (err) {
+    console.error('Failed to load captures:', err);
+  }
+}
+
+// Extra outputs (shared by all cameras); ingest URLs only ever come back masked
+let streamOutputs = null;
+
+async function loadStreamOutputs() {
+  try {
+    const data = await api('/outputs');
+    if (data.success) {
+      renderStreamOutputs(data.outputs);
+    }
+  } catch (err) {
+    console.error('Failed to load stream outputs:', err);
+  }
+}
+
+function pushOutputElements(type) {
+  return type === 'rtmp'
+    ? { url: elements.rtmpUrl, save: elements.btnRtmpSave, toggle: elements.btnRtmp, text: elements.rtmpText }
+    : { url: elements.srtUrl, save: elements.btnSrtSave, toggle: elements.btnSrt, text: elements.srtText };
+}
+
+function describePushOutput(output) {
+  switch (output.state) {
+    case 'running': {
+      const since = new Date(output.since).toLocaleTimeString();
+      const rate = output.bitrate !== null ? ` · ${Math.round(output.bitrate)} kbps` : '';
+      return `Live from ${output.camera} since ${since}${rate}`;
+    }
+    case 'starting':
+      return `Connecting to ${output.url}...`;
+    case 'retrying':
+      return `Reconnecting (attempt ${output.restarts})${output.lastError ? ` - ${output.lastError}` : ''}`;
+    case 'stopping':
+      return 'Stopping...';
+    default:
+      if (!output.configured) return 'No ingest URL set';
+      return `${output.url} from ${output.camera}${output.lastError ? ` · last error: ${output.lastError}` : ''}`;
+  }
+}
+
+function renderStreamOutputs(outputs) {
+  streamOutputs = outputs;
+
+  const { hls } = outputs;
+  elements.btnHls.textContent = hls.enabled ? 'Disable HLS' : 'Enable HLS';
+  elements.btnHls.classList.toggle('running', hls.enabled);
+  elements.hlsText.innerHTML = hls.enabled
+    ? hls.paths.map(({ camera, path }) => {
+      const url = `http://${window.location.hostname}:${hls.port}/${encodeURIComponent(path)}/index.m3u8`;
+      return `${escapeHtml(camera)}: <a href="${url}" target="_blank">${escapeHtml(url)}</a>`;
+    }).join('<br>')
+    : 'Off - for browsers without WebRTC (adds several seconds of delay)';
+
+  for (const type of ['rtmp', 'srt']) {
+    const output = outputs[type];
+    const els = pushOutputElements(type);
+    const active = output.state !== 'stopped';
+    els.toggle.textContent = `${active ? 'Stop' : 'Start'} ${type.toUpperCase()}`;
+    els.toggle.classList.toggle('running', active);
+    els.toggle.disabled = !output.configured;
+    els.save.disabled = active;
+    els.url.disabled = active;
+    els.text.textContent = describePushOutput(output);
+  }
+}
+
+async function toggleHls() {
+  const action = streamOutputs && streamOutputs.hls.enabled ? 'stop' : 'start';
+  elements.btnHls.disabled = true;
+  try {
+    const data = await api(`/outputs/hls/${action}`, 'POST');
+    if (!data.success) {
+      alert(`HLS ${action} failed: ${data.error}`);
+    }
+  } catch (err) {
+    console.error('Failed to toggle HLS:', err);
+  }
+  elements.btnHls.disabled = false;
+}
+
+// Saves the URL typed in (blank keeps the saved one) with the selected camera as the source
+async function savePushOutput(type) {
+  const els = pushOutputElements(type);
+  try {
+    const data = await api(`/outputs/${type}`, 'PUT', { url: els.url.value.trim(), camera: currentCamera });
+    if (data.success) {
+      els.url.value = '';
+    } else {
+      alert(`Save failed: ${data.error}`);
+    }
+  } catch (err) {
+    console.error(`Failed to save ${type} output:`, err);
+  }
+}
+
+async function togglePushOutput(type) {
+  const action = streamOutputs && streamOutputs[type].state !== 'stopped' ? 'stop' : 'start';
+  try {
+    const data = await api(`/outputs/${type}/${action}`, 'POST');
+    if (!data.success) {
+      alert(`${type.toUpperCase()} ${action} failed: ${data.error}`);
+    }
+  } catch (err) {
+    console.error(`Failed to ${action} ${type} output:`, err);
+  }
+}
+
+// MediaMTX process and path health (shared by all cameras)
+async function loadStreamHealth() {
+  try {
+    const data = await api('/system/stream-health');
+    if (data.success) {
+      renderStreamHealth(data);
+    }
+  } catch (err) {
+    console.error('Failed to load stream health:', err);
+  }
+}
+
+function formatUptime(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return h > 0 ? `${h}h ${m}m` : `${m}m ${seconds % 60}s`;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+function renderStreamHealth({ process: proc, api: apiUp, apiError, paths }) {
+  const restarts = `${proc.restartCount}/${proc.maxRestarts} restarts`;
+  let text;
+  switch (proc.state) {
+    case 'running':
+      text = `Running · PID ${proc.pid} · up ${formatUptime(proc.uptime)} · ${restarts}`;
+      if (!apiUp) text += ' · API not responding';
+      break;
+    case 'restarting': {
+      const wait = Math.max(0, Math.round((new Date(proc.nextRetryAt) - Date.now()) / 1000));
+      text = `Crashed · retrying in ${wait}s · ${restarts}`;
+      break;
+    }
+    case 'failed':
+      text = `Stopped after ${proc.maxRestarts} failed restarts`;
+      break;
+    default:
+      text = proc.state.charAt(0).toUpperCase() + proc.state.slice(1);
+  }
+  if (proc.lastExit && proc.state !== 'running') {
+    text += ` · last exit code ${proc.lastExit.code}`;
+  }
+  elements.healthText.textContent = text;
+  elements.healthText.title = apiError || '';
+
+  elements.healthPaths.innerHTML = paths.map(path => {
+    const state = path.ready ? 'ready' : 'not ready';
+    const tracks = path.tracks.length > 0 ? ` · ${path.tracks.join(', ')}` : '';
+    return `
+      <li>
+        <span class="calibration-type">${escapeHtml(path.camera)}</span>
+        <span>/${escapeHtml(path.path)} · ${state}${escapeHtml(tracks)} · ${path.readers} readers · in ${formatBytes(path.bytesReceived)} · out ${formatBytes(path.bytesSent)}</span>
+      </li>
+    `;
+  }).join('');
+
+  elements.healthLog.textContent = proc.stderr.length > 0 ? proc.stderr.join('\n') : 'No errors logged';
+}
+
+async function restartStream() {
+  if (!confirm('Restart MediaMTX? All streams will drop briefly.')) return;
+  elements.btnStreamRestart.disabled = true;
+  try {
+    const data = await api('/system/stream-restart', 'POST');
+    if (!data.success) {
+      alert(`Restart failed: ${data.error}`);
+    }
+  } catch (err) {
+    console.error('Failed to restart stream:', err);
+  }
+  elements.btnStreamRestart.disabled = false;
+  loadStreamHealth();
+}
+
+function toggleHealthLog() {
+  const hidden = elements.healthLog.classList.toggle('hidden');
+  elements.btnHealthLog.textContent = hidden ? 'Show Log' : 'Hide Log';
+}
+
+// Native WebRTC player: WHEP against MediaMTX (:8889/<path>/whep), reconnecting until the stream comes back
+const PLAYER_RETRY_MAX_DELAY = 10000;
+const ICE_GATHER_TIMEOUT = 2000;
+const LEVELS_INTERVAL = 250;
+
+let player = {
+  pc: null,
+  session: null,
+  path: null,
+  generation: 0,
+  retryTimer: null,
+  retryDelay: 1000,
+  statsTimer: null,
+  lastStats: null
+};
+let videoOverlays = { stats: false, crosshair: false, levels: false, regions: false };
+let levels = { canvas: null, histogram: null, updated: 0 };
+let overlayFrame = null;
+
+function startPlayer(path) {
+  stopPlayer();
+  player.path = path;
+  player.retryDelay = 1000;
+  connectPlayer();
+}
+
+function stopPlayer() {
+  player.generation++;
+  clearTimeout(player.retryTimer);
+  clearInterval(player.statsTimer);
+  player.retryTimer = null;
+  player.statsTimer = null;
+  player.lastStats = null;
+  if (player.pc) {
+    player.pc.close();
+    player.pc = null;
+  }
+  // Tell MediaMTX the reader is gone instead of waiting for its timeout
+  if (player.session) {
+    fetch(player.session, { method: 'DELETE' }).catch(() => {});
+    player.session = null;
+  }
+  elements.stream.srcObject = null;
+}
+
+// Resolves once all local candidates are in the offer; WHEP here is a single POST, no trickle
+function waitIceGathering(pc) {
+  if (pc.iceGatheringState === 'complete') return Promise.resolve();
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ICE_GATHER_TIMEOUT);
+    pc.addEventListener('icegatheringstatechange', () => {
+      if (pc.iceGatheringState === 'complete') {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+  });
+}
+
+async function connectPlayer() {
+  const generation = ++player.generation;
+  const pc = new RTCPeerConnection();
+  player.pc = pc;
+
+  pc.addTransceiver('video', { direction: 'recvonly' });
+  pc.ontrack = (e) => {
+    elements.stream.srcObject = e.streams[0];
+  };
+  pc.onconnectionstatechange = () => {
+    if (generation !== player.generation) return;
+    switch (pc.connectionState) {
+      case 'connected':
+        player.retryDelay = 1000;
+        elements.streamOverlay.classList.add('hidden');
+        clearInterval(player.statsTimer);
+        player.statsTimer = setInterval(updatePlayerStats, 1000);
+        break;
+      case 'disconnected':
+      case 'failed':
+        schedulePlayerReconnect();
+        break;
+    }
+  };
+
+  try {
+    await pc.setLocalDescription(await pc.createOffer());
+    await waitIceGathering(pc);
+    const url = `http://${window.location.hostname}:8889/${encodeURIComponent(player.path)}/whep`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/sdp' },
+      body: pc.localDescription.sdp
+    });
+    if (response.status !== 201) {
+      throw new Error(`WHEP offer rejected (${response.status})`);
+    }
+    const answer = await response.text();
+    const location = response.headers.get('Location');
+    const session = location ? new URL(location, url).href : null;
+    if (generation !== player.generation) {
+      // Superseded while negotiating; drop the session MediaMTX just created
+      if (session) fetch(session, { method: 'DELETE' }).catch(() => {});
+      return;
+    }
+    player.session = session;
+    await pc.setRemoteDescription({ type: 'answer', sdp: answer });
+  } catch (err) {
+    if (generation !== player.generation) return;
+    console.error('Stream connection failed:', err.message);
+    schedulePlayerReconnect();
+  }
+}
+
+// Back off while MediaMTX or the path is down; any success resets the delay
+function schedulePlayerReconnect() {
+  if (player.retryTimer || !player.path) return;
+  const delay = player.retryDelay;
+  player.retryDelay = Math.min(player.retryDelay * 2, PLAYER_RETRY_MAX_DELAY);
+  stopPlayer();
+  if (elements.streamOverlay.classList.contains('hidden')) {
+    showStreamOverlay('Reconnecting...');
+  }
+  player.retryTimer = setTimeout(() => {
+    player.retryTimer = null;
+    connectPlayer();
+  }, delay);
+}
+
+async function updatePlayerStats() {
+  const pc = player.pc;
+  if (!pc) return;
+  const generation = player.generation;
+  let report;
+  try {
+    report = await pc.getStats();
+  } catch (err) {
+    // The connection was closed while the stats were being gathered
+    return;
+  }
+  if (generation !== player.generation || pc !== player.pc) return;
+  let inbound = null;
+  let pair = null;
+  report.forEach(stat => {
+    if (stat.type === 'inbound-rtp' && stat.kind === 'video') inbound = stat;
+    if (stat.type === 'candidate-pair' && (stat.nominated || stat.selected) && stat.state === 'succeeded') pair = stat;
+  });
+  if (!inbound) return;
+
+  const now = { time: inbound.timestamp, bytes: inbound.bytesReceived, frames: inbound.framesDecoded };
+  const last = player.lastStats;
+  player.lastStats = now;
+  if (!last || now.time <= last.time) return;
+
+  const seconds = (now.time - last.time) / 1000;
+  const fps = inbound.framesPerSecond ?? (now.frames - last.frames) / seconds;
+  const kbps = ((now.bytes - last.bytes) * 8) / seconds / 1000;
+  const received = inbound.packetsReceived || 0;
+  const lost = Math.max(inbound.packetsLost || 0, 0);
+  const loss = received + lost > 0 ? (lost / (received + lost)) * 100 : 0;
+  const rtt = pair && pair.currentRoundTripTime !== undefined ? `${Math.round(pair.currentRoundTripTime * 1000)} ms` : '-';
+
+  elements.streamStats.textContent =
+    `RTT ${rtt} · ${Math.round(fps)} fps · ${kbps >= 1000 ? `${(kbps / 1000).toFixed(1)} Mbps` : `${Math.round(kbps)} kbps`} · loss ${loss.toFixed(1)}%`;
+}
+
+// The picture's box inside the container; the video is letterboxed to keep its aspect ratio
+function videoContentRect() {
+  const width = elements.stream.clientWidth;
+  const height = elements.stream.clientHeight;
+  const { videoWidth, videoHeight } = elements.stream;
+  if (!videoWidth || !videoHeight) {
+    return { left: 0, top: 0, width, height };
+  }
+  const scale = Math.min(width / videoWidth, height / videoHeight);
+  const w = videoWidth * scale;
+  const h = videoHeight * scale;
+  return { left: (width - w) / 2, top: (height - h) / 2, width: w, height: h };
+}
+
+// Keep the ROI drawing layer and overlay canvas on the picture, so fractions map to frame pixels
+function fitVideoLayers() {
+  const rect = videoContentRect();
+  for (const layer of [elements.roiLayer, elements.videoOverlay]) {
+    layer.style.left = `${rect.left}px`;
+    layer.style.top = `${rect.top}px`;
+    layer.style.width = `${rect.width}px`;
+    layer.style.height = `${rect.height}px`;
+    layer.style.right = 'auto';
+    layer.style.bottom = 'auto';
+  }
+  const ratio = window.devicePixelRatio || 1;
+  elements.videoOverlay.width = Math.round(rect.width * ratio);
+  elements.videoOverlay.height = Math.round(rect.height * ratio);
+  renderVideoOverlay();
+}
+
+function toggleVideoOverlay(name) {
+  videoOverlays[name] = !videoOverlays[name];
+  const buttons = {
+    stats: elements.btnOverlayStats,
+    crosshair: elements.btnOverlayCrosshair,
+    levels: elements.btnOverlayLevels,
+    regions: elements.btnOverlayRegions
+  };
+  buttons[name].classList.toggle('active', videoOverlays[name]);
+  elements.streamStats.classList.toggle('hidden', !videoOverlays.stats);
+  if (name === 'levels') levels.histogram = null;
+  fitVideoLayers();
+}
+
+// Redraw every animation frame while something moving (levels) is shown, otherwise on demand
+function renderVideoOverlay() {
+  cancelAnimationFrame(overlayFrame);
+  overlayFrame = null;
+  const canvas = elements.videoOverlay;
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  const ratio = window.devicePixelRatio || 1;
+
+  if (videoOverlays.crosshair) {
+    drawCrosshair(ctx, canvas.width, canvas.height, ratio);
+  }
+  if (videoOverlays.regions) {
+    drawOverlayRegions(ctx, canvas.width, canvas.height, ratio);
+  }
+  if (videoOverlays.levels) {
+    if (Date.now() - levels.updated >= LEVELS_INTERVAL) {
+      updateLevels();
+    }
+    drawLevels(ctx, canvas.width, canvas.height, ratio);
+    overlayFrame = requestAnimationFrame(renderVideoOverlay);
+  }
+}
+
+function drawCrosshair(ctx, width, height, ratio) {
+  const cx = width / 2;
+  const cy = height / 2;
+  const gap = 8 * ratio;
+  ctx.strokeStyle = 'rgba(255, 64, 64, 0.8)';
+  ctx.lineWidth = ratio;
+  ctx.beginPath();
+  ctx.moveTo(0, cy);
+  ctx.lineTo(cx - gap, cy);
+  ctx.moveTo(cx + gap, cy);
+  ctx.lineTo(width, cy);
+  ctx.moveTo(cx, 0);
+  ctx.lineTo(cx, cy - gap);
+  ctx.moveTo(cx, cy + gap);
+  ctx.lineTo(cx, height);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.arc(cx, cy, Math.min(width, height) / 8, 0, Math.PI * 2);
+  ctx.stroke();
+}
+
+function drawOverlayRegions(ctx, width, height, ratio) {
+  const regions = [];
+  if (autoExposure.roi) {
+    regions.push({ roi: autoExposure.roi, label: 'AE', color: 'rgba(255, 193, 7, 0.9)' });
+  }
+  regions.push({ roi: focusRoi(), label: 'Focus', color: 'rgba(76, 175, 80, 0.9)' });
+
+  ctx.lineWidth = ratio;
+  ctx.font = `${11 * ratio}px sans-serif`;
+  for (const { roi, label, color } of regions) {
+    const x = roi.x * width;
+    const y = roi.y * height;
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.setLineDash([6 * ratio, 4 * ratio]);
+    ctx.strokeRect(x, y, roi.width * width, roi.height * height);
+    ctx.setLineDash([]);
+    ctx.fillText(label, x + 4 * ratio, y + 13 * ratio);
+  }
+}
+
+// Luminance histogram of a downscaled copy of the current video frame
+function updateLevels() {
+  const video = elements.stream;
+  levels.updated = Date.now();
+  if (!video.videoWidth) return;
+  if (!levels.canvas) {
+    levels.canvas = document.createElement('canvas');
+    levels.canvas.width = 160;
+    levels.canvas.height = 120;
+  }
+  const ctx = levels.canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(video, 0, 0, levels.canvas.width, levels.canvas.height);
+  const { data } = ctx.getImageData(0, 0, levels.canvas.width, levels.canvas.height);
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i += 4) {
+    histogram[Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])]++;
+  }
+  levels.histogram = histogram;
+}
+
+function drawLevels(ctx, width, height, ratio) {
+  if (!levels.histogram) return;
+  const w = 256 * ratio * 0.75;
+  const h = 60 * ratio;
+  const x = width - w - 8 * ratio;
+  const y = height - h - 8 * ratio;
+  // Square root keeps sparse highlights visible next to a dominant background peak
+  const peak = Math.sqrt(Math.max(...levels.histogram)) || 1;
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(x, y, w, h);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  const bar = w / 256;
+  levels.histogram.forEach((count, i) => {
+    const barHeight = (Math.sqrt(count) / peak) * h;
+    ctx.fillRect(x + i * bar, y + h - barHeight, Math.max(bar, 1), barHeight);
+  });
+}
+
+// Stream reconfiguration progress: switching -> ready, or failed (old settings restored)
+let streamOverlayTimer = null;
+
+function showStreamOverlay(text) {
+  clearTimeout(streamOverlayTimer);
+  elements.streamOverlayText.textContent = text;
+  elements.streamOverlay.classList.remove('hidden');
+}
+
+function setStreamStatus({ status, error }) {
+  switch (status) {
+    case 'switching':
+      showStreamOverlay('Switching stream...');
+      break;
+    case 'ready':
+      elements.streamOverlay.classList.add('hidden');
+      // Reconnect the player to the new pipeline
+      startPlayer(player.path);
+      loadStreamState();
+      break;
+    case 'failed':
+      showStreamOverlay('Stream switch failed - previous settings restored');
+      console.error('Stream switch failed:', error);
+      streamOverlayTimer = setTimeout(() => elements.streamOverlay.classList.add('hidden'), 5000);
+      loadStreamState();
+      break;
+  }
+}
+
+// Stream state: profile, binning and ROI together
+async function loadStreamState() {
+  try {
+    const data = await api(cameraEndpoint('/stream/state'));
+    if (data.success) {
+      setStreamStateUI(data);
+    }
+  } catch (err) {
+    console.error('Failed to load stream state:', err);
+  }
+}
+
+function setStreamStateUI(state) {
+  streamState = state;
+  elements.binningToggle.checked = state.binning;
+  updateBinningStatus(state.binning);
+  setStreamProfileUI(state.mode, state.profile);
+
+  const { roi } = state;
+  if (roi) {
+    elements.streamUpscale.checked = roi.upscale;
+    elements.streamRoiStatus.textContent = `Cropped to ${Math.round(roi.width * 100)}% x ${Math.round(roi.height * 100)}% of the frame` +
+      ` at ${Math.round(roi.x * 100)}%, ${Math.round(roi.y * 100)}% - streaming ${state.width}x${state.height}`;
+  } else {
+    elements.streamRoiStatus.textContent = `Full frame - streaming ${state.width}x${state.height}`;
+  }
+  elements.btnStreamRoiReset.disabled = !roi;
+}
+
+// A click centres a zoom window, a drag crops to the box. The stream on screen may
+// already be cropped, so positions are mapped back to the full frame first.
+function pickStreamRoi(a, b) {
+  const base = streamState.roi || { x: 0, y: 0, width: 1, height: 1 };
+  const toFrame = (p) => ({ x: base.x + p.x * base.width, y: base.y + p.y * base.height });
+  const start = toFrame(a);
+  const end = toFrame(b);
+
+  let roi = roiFromDrag(start, end);
+  if (roi.width < 0.02 || roi.height < 0.02) {
+    const size = 1 / parseFloat(elements.streamZoom.value);
+    const corner = (v) => Math.round(Math.min(Math.max(v - size / 2, 0), 1 - size) * 1000) / 1000;
+    roi = { x: corner(start.x), y: corner(start.y), width: Math.floor(size * 1000) / 1000, height: Math.floor(size * 1000) / 1000 };
+  }
+  setStreamRoi(roi);
+}
+
+async function setStreamRoi(roi) {
+  elements.streamRoiStatus.textContent = 'Restarting stream...';
+  try {
+    const data = roi
+      ? await api(cameraEndpoint('/stream/roi'), 'PUT', { ...roi, upscale: elements.streamUpscale.checked })
+      : await api(cameraEndpoint('/stream/roi'), 'DELETE');
+    if (data.success) {
+      setStreamStateUI(data);
+    } else {
+      alert('Failed to set region of interest: ' + data.error);
+      loadStreamState();
+    }
+  } catch (err) {
+    alert('Region of interest error: ' + err.message);
+    loadStreamState();
+  }
+}
+
+async function setBinning(enabled) {
+  elements.binningToggle.disabled = true;
+  elements.binningStatus.textContent = 'Restarting stream...';
+  elements.binningStatus.classList.remove('active');
+
+  try {
+    const data = await api(cameraEndpoint('/stream/binning'), 'POST', { enabled });
+    if (data.success) {
+      updateBinningStatus(data.binning);
+    } else {
+      alert('Failed to change binning: ' + data.error);
+      elements.binningToggle.checked = !enabled;
+    }
+  } catch (err) {
+    alert('Binning error: ' + err.message);
+    elements.binningToggle.checked = !enabled;
+  } finally {
+    elements.binningToggle.disabled = false;
+  }
+}
+
+function updateBinningStatus(enabled) {
+  if (enabled) {
+    elements.binningStatus.textContent = '4x brighter';
+    elements.binningStatus.classList.add('active');
+  } else {
+    elements.binningStatus.textContent = '';
+    elements.binningStatus.classList.remove('active');
+  }
+}
+
+// Stream profiles: capture size, framerate and encoder settings, shared by all cameras
+const FALLBACK_SIZES = [[640, 480], [800, 600], [1280, 720], [1280, 960], [1920, 1080]];
+const FALLBACK_FPS = [5, 10, 15, 30];
+
+async function loadStreamProfiles() {
+  try {
+    const data = await api('/stream/profiles');
+    if (data.success) {
+      streamProfiles = data.profiles;
+      renderStreamProfiles();
+    }
+  } catch (err) {
+    console.error('Failed to load stream profiles:', err);
+  }
+}
+
+function renderStreamProfiles() {
+  const selected = elements.streamProfile.value || streamMode;
+  elements.streamProfile.innerHTML = streamProfiles.map(profile => `
+    <option value="${profile.name}">${escapeHtml(profile.label || profile.name)}${profile.name === streamMode ? ' (active)' : ''}</option>
+  `).join('');
+  if (streamProfiles.some(p => p.name === selected)) {
+    elements.streamProfile.value = selected;
+  }
+}
+
+function setStreamProfileUI(mode, profile) {
+  streamMode = mode;
+  elements.streamProfile.value = mode;
+  renderStreamProfiles();
+  elements.streamProfileStatus.textContent = profile ? describeStreamProfile(profile) : '';
+}
+
+function describeStreamProfile(profile) {
+  const output = profile.output ? ` → ${profile.output.width}x${profile.output.height}` : '';
+  return `${profile.width}x${profile.height}${output} ${profile.format} @ ${profile.fps} fps, ${profile.bitrate} kbps, GOP ${profile.gop}`;
+}
+
+// What the camera offers; empty when the device can't be queried
+async function loadStreamFormats() {
+  try {
+    const data = await api(cameraEndpoint('/stream/formats'));
+    streamFormats = data.success ? data.formats.filter(f => f.format) : [];
+  } catch (err) {
+    streamFormats = [];
+  }
+}
+
+async function applyStreamProfile() {
+  const name = elements.streamProfile.value;
+  if (!name) return;
+
+  elements.btnStreamProfileApply.disabled = true;
+  try {
+    const data = await api(cameraEndpoint(`/stream/profile/${name}`), 'POST');
+    if (data.success) {
+      setStreamProfileUI(data.mode, data.profile);
+    } else {
+      alert('Failed to change stream profile: ' + data.error);
+    }
+  } catch (err) {
+    alert('Stream profile error: ' + err.message);
+  } finally {
+    elements.btnStreamProfileApply.disabled = false;
+  }
+}
+
+function openStreamProfileEditor(profile) {
+  editingProfile = profile ? profile.name : null;
+  const values = profile || { label: '', format: 'mjpeg', width: 640, height: 480, fps: 30, bitrate: 1200, gop: 5, output: null };
+
+  elements.profileName.value = profile ? profile.name : '';
+  elements.profileName.disabled = Boolean(profile);
+  elements.profileLabel.value = values.label || '';
+  elements.profileBitrate.value = values.bitrate;
+  elements.profileGop.value = values.gop;
+
+  const formats = streamFormats.length ? streamFormats.map(f => f.format) : ['mjpeg', 'yuyv422'];
+  if (!formats.includes(values.format)) formats.push(values.format);
+  elements.profileFormat.innerHTML = formats.map(format => `<option value="${format}">${format}</option>`).join('');
+  elements.profileFormat.value = values.format;
+  updateProfileSizes(`${values.width}x${values.height}`);
+  updateProfileFps(values.fps);
+
+  const divisor = values.output ? String(Math.round(values.width / values.output.width)) : '1';
+  elements.profileOutput.value = [...elements.profileOutput.options].some(o => o.value === divisor) ? divisor : '1';
+
+  elements.streamProfileEditor.classList.remove('hidden');
+}
+
+function closeStreamProfileEditor() {
+  editingProfile = null;
+  elements.streamProfileEditor.classList.add('hidden');
+}
+
+function profileSizes() {
+  const format = streamFormats.find(f => f.format === elements.profileFormat.value);
+  if (format && format.sizes.length) return format.sizes;
+  return FALLBACK_SIZES.map(([width, height]) => ({ width, height, fps: FALLBACK_FPS }));
+}
+
+function updateProfileSizes(selected = elements.profileSize.value) {
+  const sizes = profileSizes().map(s => `${s.width}x${s.height}`);
+  if (selected && !sizes.includes(selected)) sizes.push(selected);
+  elements.profileSize.innerHTML = sizes.map(size => `<option value="${size}">${size}</option>`).join('');
+  elements.profileSize.value = selected && sizes.includes(selected) ? selected : sizes[0];
+}
+
+function updateProfileFps(selected = parseFloat(elements.profileFps.value)) {
+  const size = profileSizes().find(s => `${s.width}x${s.height}` === elements.profileSize.value);
+  const rates = size && size.fps.length ? [...size.fps] : [...FALLBACK_FPS];
+  if (selected && !rates.includes(selected)) rates.push(selected);
+  rates.sort((a, b) => b - a);
+  elements.profileFps.innerHTML = rates.map(fps => `<option value="${fps}">${fps}</option>`).join('');
+  elements.profileFps.value = String(selected && rates.includes(selected) ? selected : rates[0]);
+}
+
+async function saveStreamProfile() {
+  const label = elements.profileLabel.value.trim();
+  const name = editingProfile || elements.profileName.value.trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  if (!name) {
+    alert('Invalid profile name');
+    return;
+  }
+
+  const [width, height] = elements.profileSize.value.split('x').map(Number);
+  const divisor = parseInt(elements.profileOutput.value);
+  // Keep the scaled size even for the encoder
+  const even = (value) => Math.round(value / divisor / 2) * 2;
+  const profile = {
+    label: label || name,
+    format: elements.profileFormat.value,
+    width,
+    height,
+    fps: Math.round(parseFloat(elements.profileFps.value)),
+    bitrate: parseInt(elements.profileBitrate.value),
+    gop: parseInt(elements.profileGop.value),
+    output: divisor > 1 ? { width: even(width), height: even(height) } : null
+  };
+
+  try {
+    const data = await api(`/stream/profiles/${name}`, editingProfile ? 'PUT' : 'POST', profile);
+    if (data.success) {
+      closeStreamProfileEditor();
+      elements.streamProfile.value = name;
+      await loadStreamProfiles();
+    } else {
+      alert('Save stream profile failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Save stream profile error: ' + err.message);
+  }
+}
+
+async function deleteStreamProfile() {
+  const name = elements.streamProfile.value;
+  if (!name || !confirm(`Delete stream profile "${name}"?`)) return;
+
+  try {
+    const data = await api(`/stream/profiles/${name}`, 'DELETE');
+    if (data.success) {
+      elements.streamProfile.value = '';
+      await loadStreamProfiles();
+    } else {
+      alert('Delete stream profile failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Delete stream profile error: ' + err.message);
+  }
+}
+
+// Shown when a thumbnail can't be generated
+function placeholderThumb(label) {
+  return `data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 75%22><rect fill=%22%232d2d2d%22 width=%22100%22 height=%2275%22/><text x=%2250%22 y=%2240%22 text-anchor=%22middle%22 fill=%22%23888%22 font-size=%2210%22>${label}</text></svg>`;
+}
+
+// Server-side previews; the full-size file is only fetched when opened
+function thumbnailUrl(item) {
+  return `${API_BASE}/capture/thumbnails/${encodeURIComponent(item.filename)}`;
+}
+
+// Hover text for a gallery item from its metadata sidecar
+function metadataSummary(metadata) {
+  if (!metadata) return '';
+
+  const controls = metadata.controls || {};
+  const settings = [];
+  if (controls.exposure_time_absolute !== undefined) {
+    settings.push(controls.auto_exposure === 1 ? `Exposure ${controls.exposure_time_absolute}` : 'Exposure auto');
+  }
+  if (controls.gain !== undefined) settings.push(`Gain ${controls.gain}`);
+  if (controls.white_balance_automatic !== undefined) {
+    settings.push(controls.white_balance_automatic ? 'WB auto' : `WB ${controls.white_balance_temperature}K`);
+  }
+  if (metadata.stream) settings.push(`Mode ${metadata.stream.mode}`);
+  if (metadata.preset) settings.push(`Preset ${metadata.preset}`);
+
+  return [
+    metadata.target ? `Target: ${metadata.target}` : null,
+    metadata.timestamp ? new Date(metadata.timestamp).toLocaleString() : null,
+    settings.join(' · '),
+    metadata.notes ? `Notes: ${metadata.notes}` : null
+  ].filter(Boolean).join('\n');
+}
+
+function renderGallery(photos, videos, sequences = []) {
+  const items = [
+    ...photos.map(p => ({ ...p, type: 'photo' })),
+    ...videos.map(v => ({ ...v, type: 'video' })),
+    ...sequences.map(s => ({ ...s, type: 'sequence' }))
+  ].sort((a, b) => new Date(b.created) - new Date(a.created));
+  galleryMetadata = Object.fromEntries(items.map(item => [item.filename, item.metadata]));
+  galleryItems = [];
+
+  if (items.length === 0) {
+    elements.gallery.innerHTML = '<p class="gallery-empty">No captures yet</p>';
+    return;
+  }
+
+  // Group by session, newest group first; the metadata copy names sessions since deleted
+  const groups = [];
+  for (const item of items) {
+    const ref = item.metadata && item.metadata.session;
+    const id = ref ? ref.id : null;
+    let group = groups.find(g => g.id === id);
+    if (!group) {
+      group = { id, session: sessions.find(s => s.id === id) || ref, items: [] };
+      groups.push(group);
+    }
+    group.items.push(item);
+  }
+  // Viewer navigation follows the on-screen order
+  galleryItems = groups.flatMap(group => group.items);
+
+  // Drop selections whose captures are gone
+  for (const filename of [...selectedCaptures]) {
+    if (!(filename in galleryMetadata)) selectedCaptures.delete(filename);
+  }
+
+  elements.gallery.innerHTML = groups.map((group, index) => `
+    <div class="gallery-group" data-group="${index}">
+      ${sessionHeading(group.session)} <span>(${group.items.length})</span>
+      ${group.id ? `<button class="quick-btn group-download" data-session="${escapeHtml(group.id)}">ZIP</button>` : ''}
+    </div>
+    ${group.items.map(item => galleryItemHtml(item, index)).join('')}
+  `).join('');
+  updateSelectionUI();
+}
+
+// One delegated listener for the whole gallery, which is re-rendered on every change
+function handleGalleryClick(e) {
+  const header = e.target.closest('.gallery-group');
+  if (header) {
+    const download = e.target.closest('.group-download');
+    if (download) {
+      downloadArchive({ session: download.dataset.session });
+      return;
+    }
+    if (selectionMode) toggleGroupSelection(header.dataset.group);
+    return;
+  }
+
+  const item = e.target.closest('.gallery-item');
+  if (!item) return;
+  const filename = item.dataset.filename;
+  if (e.target.closest('.info-btn')) {
+    editCaptureInfo(filename);
+  } else if (e.target.closest('.delete-btn')) {
+    deleteCapture(filename);
+  } else if (selectionMode) {
+    toggleSelection(filename);
+  } else {
+    openViewer(filename);
+  }
+}
+
+function sessionHeading(session) {
+  if (!session) {
+    return 'No session';
+  }
+
+  const parts = [escapeHtml(session.target)];
+  if (session.startedAt) parts.push(new Date(session.startedAt).toLocaleDateString());
+  if (session.location) parts.push(escapeHtml(session.location));
+  if (session.active) parts.push('active');
+  return parts.join(' · ');
+}
+
+function galleryItemHtml(item, group) {
+  return `
+    <div class="gallery-item${selectedCaptures.has(item.filename) ? ' selected' : ''}" data-group="${group}" data-filename="${escapeHtml(item.filename)}" data-type="${item.type}"
+         title="${escapeHtml(metadataSummary(item.metadata))}">
+      ${item.type === 'video' ? '<span class="video-badge">VIDEO</span>' : ''}
+      ${item.type === 'sequence' ? `<span class="video-badge">${item.kind === 'timelapse' ? 'TIMELAPSE' : 'SEQ'}</span><span class="sequence-badge">${item.frameCount} frames</span>` : ''}
+      ${item.type === 'photo' && item.format !== 'jpg' ? `<span class="video-badge">${item.format.toUpperCase()}</span>` : ''}
+      <img src="${thumbnailUrl(item)}" loading="lazy"
+           alt="${escapeHtml(item.filename)}"
+           onerror="this.src='${placeholderThumb(item.type.toUpperCase())}'">
+      ${item.metadata && item.metadata.target ? `<span class="target-badge">${escapeHtml(item.metadata.target)}</span>` : ''}
+      <button class="info-btn">i</button>
+      <button class="delete-btn">X</button>
+    </div>
+  `;
+}
+
+// Multi-select for bulk download/delete
+function toggleSelectionMode() {
+  selectionMode = !selectionMode;
+  selectedCaptures.clear();
+  document.querySelectorAll('.gallery-item.selected').forEach(item => item.classList.remove('selected'));
+  updateSelectionUI();
+}
+
+function toggleSelection(filename) {
+  if (selectedCaptures.has(filename)) {
+    selectedCaptures.delete(filename);
+  } else {
+    selectedCaptures.add(filename);
+  }
+  document.querySelectorAll('.gallery-item').forEach(item => {
+    if (item.dataset.filename === filename) item.classList.toggle('selected', selectedCaptures.has(filename));
+  });
+  updateSelectionUI();
+}
+
+// Select a whole group, or clear it when everything in it is already selected
+function toggleGroupSelection(group) {
+  const items = [...document.querySelectorAll(`.gallery-item[data-group="${group}"]`)];
+  const allSelected = items.every(item => selectedCaptures.has(item.dataset.filename));
+  items.forEach(item => {
+    if (allSelected) {
+      selectedCaptures.delete(item.dataset.filename);
+    } else {
+      selectedCaptures.add(item.dataset.filename);
+    }
+    item.classList.toggle('selected', !allSelected);
+  });
+  updateSelectionUI();
+}
+
+function updateSelectionUI() {
+  elements.gallery.classList.toggle('selecting', selectionMode);
+  elements.btnSelect.textContent = selectionMode ? 'Cancel' : 'Select';
+  elements.selectionCount.textContent = `${selectedCaptures.size} selected`;
+  [elements.selectionCount, elements.btnDownloadSelected, elements.btnDeleteSelected].forEach(el => {
+    el.classList.toggle('hidden', !selectionMode);
+  });
+  elements.btnDownloadSelected.disabled = selectedCaptures.size === 0;
+  elements.btnDeleteSelected.disabled = selectedCaptures.size === 0;
+}
+
+// The server resolves the selection, then the browser streams it as a normal download
+async function downloadArchive(selection) {
+  try {
+    const data = await api('/capture/archive', 'POST', selection);
+    if (data.success) {
+      window.location.href = data.url;
+    } else {
+      alert('Download failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Download error: ' + err.message);
+  }
+}
+
+function downloadRange() {
+  const from = elements.archiveFrom.value;
+  const to = elements.archiveTo.value;
+  if (!from && !to) {
+    alert('Pick a start and/or end date');
+    return;
+  }
+  downloadArchive({ from: from || undefined, to: to || undefined });
+}
+
+async function deleteSelected() {
+  if (!confirm(`Delete ${selectedCaptures.size} capture(s)?`)) return;
+
+  try {
+    const data = await api('/capture/delete', 'POST', { filenames: [...selectedCaptures] });
+    if (data.failed && data.failed.length > 0) {
+      alert(`Could not delete ${data.failed.length} capture(s):\n` + data.failed.map(f => `${f.filename}: ${f.error}`).join('\n'));
+    }
+    selectedCaptures.clear();
+    loadCaptures();
+  } catch (err) {
+    alert('Delete failed: ' + err.message);
+  }
+}
+
+async function editCaptureInfo(filename) {
+  const metadata = galleryMetadata[filename] || {};
+
+  const target = prompt('Target name:', metadata.target || '');
+  if (target === null) return;
+  const notes = prompt('Notes:', metadata.notes || '');
+  if (notes === null) return;
+
+  try {
+    const data = await api(`/capture/${encodeURIComponent(filename)}/metadata`, 'PUT', { target, notes });
+    if (!data.success) {
+      alert('Update failed: ' + data.error);
+    }
+  } catch (err) {
+    alert('Update error: ' + err.message);
+  }
+}
+
+async function deleteCapture(filename) {
+  if (!confirm('Delete this capture?')) return;
+
+  try {
+    await api(`/capture/${encodeURIComponent(filename)}`, 'DELETE');
+    loadCaptures();
+  } catch (err) {
+    alert('Delete failed: ' + err.message);
+  }
+}
+
+// Capture viewer: zoom/pan at pixel level, histogram, metadata, frame stepping
+const VIEWER_MAX_SCALE = 32;
+const SEQUENCE_PLAYBACK_FPS = 5;
+// Histogram is computed on a downscaled copy; plenty for exposure checks
+const HISTOGRAM_MAX_SIZE = 1024;
+const viewer = {
+  items: [],
+  index: -1,
+  item: null,
+  media: null,
+  width: 0,
+  height: 0,
+  scale: 1,
+  x: 0,
+  y: 0,
+  fit: true,
+  frames: [],
+  frame: 0,
+  fps: 30,
+  playTimer: null,
+  drag: null,
+  histogramTime: 0
+};
+
+function openViewer(filename) {
+  viewer.items = galleryItems;
+  const index = viewer.items.findIndex(item => item.filename === filename);
+  if (index === -1) return;
+
+  elements.viewer.classList.remove('hidden');
+  document.body.classList.add('viewer-open');
+  showViewerItem(index);
+}
+
+function closeViewer() {
+  stopViewerPlayback();
+  elements.viewerVideo.pause();
+  // Dropping the source stops any range requests still in flight
+  elements.viewerVideo.removeAttribute('src');
+  elements.viewerVideo.load();
+  elements.viewerImage.removeAttribute('src');
+  elements.viewer.classList.add('hidden');
+  document.body.classList.remove('viewer-open');
+  viewer.item = null;
+}
+
+function stepViewerItem(delta) {
+  const index = viewer.index + delta;
+  if (index >= 0 && index < viewer.items.length) {
+    showViewerItem(index);
+  }
+}
+
+async function showViewerItem(index) {
+  const item = viewer.items[index];
+  viewer.index = index;
+  viewer.item = item;
+  viewer.media = null;
+  viewer.frames = [];
+  viewer.frame = 0;
+  viewer.fit = true;
+  stopViewerPlayback();
+
+  elements.viewerTitle.textContent = `${item.filename} (${index + 1}/${viewer.items.length})`;
+  elements.viewerPrev.disabled = index === 0;
+  elements.viewerNext.disabled = index === viewer.items.length - 1;
+  elements.viewerImage.classList.add('hidden');
+  elements.viewerVideo.classList.add('hidden');
+  elements.viewerVideo.pause();
+  elements.viewerPlayback.classList.toggle('hidden', item.type === 'photo');
+  elements.viewerPlay.textContent = 'Play';
+  clearHistogram();
+  renderViewerMetadata();
+
+  if (item.type === 'video') {
+    elements.viewerImage.removeAttribute('src');
+    elements.viewerDownload.href = `${API_BASE}/capture/${item.filename}`;
+    elements.viewerVideo.src = `${API_BASE}/capture/${item.filename}`;
+    viewer.fps = 30;
+    try {
+      const info = await api(`/capture/${item.filename}/video`);
+      if (viewer.item === item && info.success && info.fps) {
+        viewer.fps = info.fps;
+        updateViewerPosition();
+      }
+    } catch (err) {
+      // Frame stepping falls back to 30 fps
+    }
+    return;
+  }
+
+  elements.viewerVideo.removeAttribute('src');
+  elements.viewerVideo.load();
+
+  if (item.type === 'sequence') {
+    try {
+      const data = await api(`/capture/sequences/${item.filename}`);
+      if (viewer.item !== item) return;
+      viewer.frames = data.frames || [];
+    } catch (err) {
+      viewer.frames = [];
+    }
+    elements.viewerSeek.max = Math.max(viewer.frames.length - 1, 0);
+    showSequenceFrame(0);
+    return;
+  }
+
+  elements.viewerDownload.href = `${API_BASE}/capture/${item.filename}`;
+  elements.viewerImage.src = `${API_BASE}/capture/preview/${item.filename}`;
+}
+
+function showSequenceFrame(frame) {
+  const { item, frames } = viewer;
+  if (frames.length === 0) {
+    elements.viewerPosition.textContent = 'No frames';
+    return;
+  }
+
+  viewer.frame = Math.min(Math.max(frame, 0), frames.length - 1);
+  const url = `${API_BASE}/capture/sequences/${item.filename}/${frames[viewer.frame]}`;
+  elements.viewerDownload.href = url;
+  elements.viewerImage.src = url;
+  updateViewerPosition();
+}
+
+// Media loaded: keep the zoom when stepping through frames of the same size
+function onViewerMediaLoaded(media, width, height) {
+  const sameSize = viewer.media === media && viewer.width === width && viewer.height === height;
+  viewer.media = media;
+  viewer.width = width;
+  viewer.height = height;
+  media.classList.remove('hidden');
+
+  if (!sameSize || viewer.fit) {
+    fitViewer();
+  } else {
+    applyViewerTransform();
+  }
+  updateHistogram();
+  renderViewerMetadata();
+  updateViewerPosition();
+}
+
+function fitViewer() {
+  if (!viewer.media) return;
+  const stage = elements.viewerStage.getBoundingClientRect();
+  viewer.scale = Math.min(stage.width / viewer.width, stage.height / viewer.height);
+  viewer.x = (stage.width - viewer.width * viewer.scale) / 2;
+  viewer.y = (stage.height - viewer.height * viewer.scale) / 2;
+  viewer.fit = true;
+  applyViewerTransform();
+}
+
+// Zoom about a point of the stage (its centre by default), keeping that pixel under it
+function zoomViewer(factor, cx, cy) {
+  if (!viewer.media) return;
+  const stage = elements.viewerStage.getBoundingClientRect();
+  if (cx === undefined) {
+    cx = stage.width / 2;
+    cy = stage.height / 2;
+  }
+
+  const minScale = Math.min(stage.width / viewer.width, stage.height / viewer.height, 1) / 2;
+  const scale = Math.min(Math.max(viewer.scale * factor, minScale), VIEWER_MAX_SCALE);
+  viewer.x = cx - (cx - viewer.x) * scale / viewer.scale;
+  viewer.y = cy - (cy - viewer.y) * scale / viewer.scale;
+  viewer.scale = scale;
+  viewer.fit = false;
+  applyViewerTransform();
+}
+
+function zoomViewerTo(scale, cx, cy) {
+  zoomViewer(scale / viewer.scale, cx, cy);
+}
+
+function applyViewerTransform() {
+  const media = viewer.media;
+  media.style.width = `${viewer.width}px`;
+  media.style.height = `${viewer.height}px`;
+  media.style.transform = `translate(${viewer.x}px, ${viewer.y}px) scale(${viewer.scale})`;
+  // Show real pixels when zoomed in, not a smoothed guess
+  media.classList.toggle('pixelated', viewer.scale > 1);
+
+  const percent = `${Math.round(viewer.scale * 100)}%`;
+  elements.viewerZoom.textContent = viewer.fit ? `Fit ${percent}` : percent;
+}
+
+function stagePoint(e) {
+  const stage = elements.viewerStage.getBoundingClientRect();
+  return { x: e.clientX - stage.left, y: e.clientY - stage.top };
+}
+
+function clearHistogram() {
+  const canvas = elements.viewerHistogram;
+  canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+}
+
+// RGB histogram of whatever the viewer shows (image or current video frame)
+function updateHistogram() {
+  const media = viewer.media;
+  if (!media || !viewer.width) return;
+
+  const ratio = Math.min(1, HISTOGRAM_MAX_SIZE / Math.max(viewer.width, viewer.height));
+  const width = Math.max(1, Math.round(viewer.width * ratio));
+  const height = Math.max(1, Math.round(viewer.height * ratio));
+  const sample = document.createElement('canvas');
+  sample.width = width;
+  sample.height = height;
+  const sampleCtx = sample.getContext('2d');
+  sampleCtx.drawImage(media, 0, 0, width, height);
+
+  let pixels;
+  try {
+    pixels = sampleCtx.getImageData(0, 0, width, height).data;
+  } catch (err) {
+    return;
+  }
+
+  const bins = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+  for (let i = 0; i < pixels.length; i += 4) {
+    bins[0][pixels[i]]++;
+    bins[1][pixels[i + 1]]++;
+    bins[2][pixels[i + 2]]++;
+  }
+
+  // Square-root scale so faint tails stay visible next to the sky background peak
+  let peak = 1;
+  for (const channel of bins) {
+    for (const count of channel) peak = Math.max(peak, count);
+  }
+
+  const canvas = elements.viewerHistogram;
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.globalCompositeOperation = 'lighter';
+  ['rgb(200, 40, 40)', 'rgb(40, 200, 40)', 'rgb(40, 80, 220)'].forEach((color, c) => {
+    ctx.fillStyle = color;
+    for (let v = 0; v < 256; v++) {
+      const h = Math.sqrt(bins[c][v] / peak) * canvas.height;
+      ctx.fillRect(v, canvas.height - h, 1, h);
+    }
+  });
+  ctx.globalCompositeOperation = 'source-over';
+}
+
+function renderViewerMetadata() {
+  const { item } = viewer;
+  if (!item) return;
+  const metadata = galleryMetadata[item.filename] || item.metadata || {};
+  const controls = metadata.controls || {};
+
+  const rows = [
+    ['Type', item.type === 'sequence' ? item.kind : item.type],
+    ['Camera', metadata.camera ? metadata.camera.name || metadata.camera.id : item.camera],
+    ['Taken', new Date(metadata.timestamp || item.created).toLocaleString()],
+    ['Target', metadata.target],
+    ['Session', metadata.session ? metadata.session.target : null],
+    ['Size', `${(item.size / 1024 / 1024).toFixed(1)} MB`],
+    ['Pixels', viewer.media ? `${viewer.width} × ${viewer.height}` : null],
+    ['Format', item.format ? item.format.toUpperCase() : null],
+    ['Exposure', controls.exposure_time_absolute === undefined ? null
+      : controls.auto_exposure === 1 ? controls.exposure_time_absolute : 'auto'],
+    ['Gain', controls.gain],
+    ['White balance', controls.white_balance_automatic === undefined ? null
+      : controls.white_balance_automatic ? 'auto' : `${controls.white_balance_temperature}K`],
+    ['Stream mode', metadata.stream ? metadata.stream.mode : null],
+    ['Preset', metadata.preset],
+    ['Calibration', metadata.calibration
+      ? Object.keys(metadata.calibration).filter(k => metadata.calibration[k]).join(', ') || 'none' : null],
+    ['Duration', metadata.duration ? `${metadata.duration}s` : null],
+    ['Frames', item.frameCount],
+    ['Stack', metadata.stack ? `${metadata.stack.frames} frames, ${metadata.stack.mode}` : null],
+    ['Notes', metadata.notes]
+  ];
+
+  elements.viewerMetadata.innerHTML = rows
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(String(value))}</dd>`)
+    .join('');
+}
+
+function viewerFrameCount() {
+  if (viewer.item && viewer.item.type === 'video') {
+    const duration = elements.viewerVideo.duration;
+    return Number.isFinite(duration) ? Math.max(1, Math.round(duration * viewer.fps)) : 0;
+  }
+  return viewer.frames.length;
+}
+
+function currentVideoFrame() {
+  return Math.floor(elements.viewerVideo.currentTime * viewer.fps + 1e-3);
+}
+
+function updateViewerPosition() {
+  const item = viewer.item;
+  if (!item || item.type === 'photo') return;
+
+  const total = viewerFrameCount();
+  const frame = item.type === 'video' ? currentVideoFrame() : viewer.frame;
+  elements.viewerSeek.max = Math.max(total - 1, 0);
+  elements.viewerSeek.value = frame;
+
+  let text = `Frame ${Math.min(frame + 1, total)} / ${total}`;
+  if (item.type === 'video') {
+    text += ` · ${elements.viewerVideo.currentTime.toFixed(2)}s`;
+  }
+  elements.viewerPosition.textContent = text;
+}
+
+function seekViewerFrame(frame) {
+  if (!viewer.item) return;
+  const total = viewerFrameCount();
+  frame = Math.min(Math.max(frame, 0), Math.max(total - 1, 0));
+
+  if (viewer.item.type === 'video') {
+    // Aim for the middle of the frame so rounding never lands on its neighbour
+    elements.viewerVideo.currentTime = (frame + 0.5) / viewer.fps;
+  } else if (viewer.item.type === 'sequence') {
+    showSequenceFrame(frame);
+  }
+}
+
+function stepViewerFrame(delta) {
+  if (!viewer.item || viewer.item.type === 'photo') return;
+  stopViewerPlayback();
+  const frame = viewer.item.type === 'video' ? currentVideoFrame() : viewer.frame;
+  seekViewerFrame(frame + delta);
+}
+
+function toggleViewerPlayback() {
+  const item = viewer.item;
+  if (!item || item.type === 'photo') return;
+
+  if (item.type === 'video') {
+    const video = elements.viewerVideo;
+    if (video.paused) {
+      video.play();
+    } else {
+      video.pause();
+    }
+    return;
+  }
+
+  if (viewer.playTimer) {
+    stopViewerPlayback();
+    return;
+  }
+  if (viewer.frame >= viewer.frames.length - 1) {
+    showSequenceFrame(0);
+  }
+  elements.viewerPlay.textContent = 'Pause';
+  viewer.playTimer = setInterval(() => {
+    if (viewer.frame >= viewer.frames.length - 1) {
+      stopViewerPlayback();
+      return;
+    }
+    showSequenceFrame(viewer.frame + 1);
+  }, 1000 / SEQUENCE_PLAYBACK_FPS);
+}
+
+function stopViewerPlayback() {
+  if (viewer.playTimer) {
+    clearInterval(viewer.playTimer);
+    viewer.playTimer = null;
+  }
+  if (viewer.item && viewer.item.type === 'video') {
+    elements.viewerVideo.pause();
+  }
+  elements.viewerPlay.textContent = 'Play';
+}
+
+function setupViewerListeners() {
+  const { viewerImage: image, viewerVideo: video, viewerStage: stage } = elements;
+
+  image.addEventListener('load', () => onViewerMediaLoaded(image, image.naturalWidth, image.naturalHeight));
+  image.addEventListener('error', () => {
+    if (!image.getAttribute('src')) return;
+    elements.viewerZoom.textContent = 'Failed to load';
+  });
+
+  video.addEventListener('loadedmetadata', () => onViewerMediaLoaded(video, video.videoWidth, video.videoHeight));
+  video.addEventListener('loadeddata', updateHistogram);
+  video.addEventListener('seeked', () => {
+    updateHistogram();
+    updateViewerPosition();
+  });
+  video.addEventListener('timeupdate', () => {
+    updateViewerPosition();
+    // A few histogram refreshes a second while playing
+    if (!video.paused && Date.now() - viewer.histogramTime > 250) {
+      viewer.histogramTime = Date.now();
+      updateHistogram();
+    }
+  });
+  video.addEventListener('play', () => { elements.viewerPlay.textContent = 'Pause'; });
+  video.addEventListener('pause', () => { elements.viewerPlay.textContent = 'Play'; });
+
+  // Wheel zoom about the cursor, drag to pan, double-click toggles fit / 1:1
+  stage.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const point = stagePoint(e);
+    zoomViewer(e.deltaY < 0 ? 1.25 : 0.8, point.x, point.y);
+  }, { passive: false });
+
+  stage.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0 || e.target.closest('.viewer-nav') || !viewer.media) return;
+    viewer.drag = { id: e.pointerId, x: e.clientX, y: e.clientY };
+    stage.setPointerCapture(e.pointerId);
+    stage.classList.add('dragging');
+  });
+  stage.addEventListener('pointermove', (e) => {
+    if (!viewer.drag || viewer.drag.id !== e.pointerId) return;
+    viewer.x += e.clientX - viewer.drag.x;
+    viewer.y += e.clientY - viewer.drag.y;
+    viewer.drag.x = e.clientX;
+    viewer.drag.y = e.clientY;
+    viewer.fit = false;
+    applyViewerTransform();
+  });
+  const endDrag = () => {
+    viewer.drag = null;
+    stage.classList.remove('dragging');
+  };
+  stage.addEventListener('pointerup', endDrag);
+  stage.addEventListener('pointercancel', endDrag);
+
+  stage.addEventListener('dblclick', (e) => {
+    if (e.target.closest('.viewer-nav')) return;
+    const point = stagePoint(e);
+    if (viewer.fit) {
+      zoomViewerTo(1, point.x, point.y);
+    } else {
+      fitViewer();
+    }
+  });
+
+  elements.viewerZoomIn.addEventListener('click', () => zoomViewer(1.5));
+  elements.viewerZoomOut.addEventListener('click', () => zoomViewer(1 / 1.5));
+  elements.viewerZoomFit.addEventListener('click', fitViewer);
+  elements.viewerZoomActual.addEventListener('click', () => zoomViewerTo(1));
+  elements.viewerClose.addEventListener('click', closeViewer);
+  elements.viewerPrev.addEventListener('click', () => stepViewerItem(-1));
+  elements.viewerNext.addEventListener('click', () => stepViewerItem(1));
+  elements.viewerStepBack.addEventListener('click', () => stepViewerFrame(-1));
+  elements.viewerStepForward.addEventListener('click', () => stepViewerFrame(1));
+  elements.viewerPlay.addEventListener('click', toggleViewerPlayback);
+  elements.viewerSeek.addEventListener('input', (e) => {
+    stopViewerPlayback();
+    seekViewerFrame(parseInt(e.target.value));
+  });
+
+  window.addEventListener('resize', () => {
+    if (viewer.item && viewer.fit) fitViewer();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (!viewer.item || e.target.matches('input[type="text"], textarea')) return;
+
+    switch (e.key) {
+      case 'Escape': closeViewer(); break;
+      case 'ArrowLeft': stepViewerItem(-1); break;
+      case 'ArrowRight': stepViewerItem(1); break;
+      case ',': stepViewerFrame(-1); break;
+      case '.': stepViewerFrame(1); break;
+      case ' ': toggleViewerPlayback(); break;
+      case '+': case '=': zoomViewer(1.5); break;
+      case '-': zoomViewer(1 / 1.5); break;
+      case '0': fitViewer(); break;
+      case '1': zoomViewerTo(1); break;
+      default: return;
+    }
+    e.preventDefault();
+  });
+}
+
+// Reset to Defaults
+async function resetDefaults() {
+  if (!confirm('Reset all camera settings to defaults?')) return;
+
+  try {
+    await api(cameraEndpoint('/reset'), 'POST');
+    await loadControls();
+    document.querySelectorAll('.preset-btn').forEach(btn => btn.classList.remove('active'));
+  } catch (err) {
+    alert('Reset failed: ' + err.message);
+  }
+}
+
+// Event Listeners
+function setupEventListeners() {
+  // Debounce helper
+  let debounceTimer;
+  const debounce = (fn, delay) => {
+    return (...args) => {
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => fn(...args), delay);
+    };
+  };
+
+  // Control name mapping
+  const controlMap = {
+    exposure: 'exposure_time_absolute',
     gain: 'gain',
     brightness: 'brightness',
     contrast: 'contrast',
@@ -534,7 +3382,7 @@ function setupEventListeners() {
   });
 
   // Quick buttons
-  document.querySelectorAll('.quick-btn').forEach(btn => {
+  document.querySelectorAll('.quick-btn[data-control]').forEach(btn => {
     btn.addEventListener('click', () => {
       const control = btn.dataset.control;
       const value = parseInt(btn.dataset.value);
@@ -605,14 +3453,117 @@ function setupEventListeners() {
     setControl('focus_absolute', value);
   });
 
-  // Preset buttons
-  document.querySelectorAll('.preset-btn').forEach(btn => {
-    btn.addEventListener('click', () => applyPreset(btn.dataset.preset));
+  // Preset buttons (rendered dynamically, so delegate from the container)
+  elements.presetButtons.addEventListener('click', (e) => {
+    const deleteBtn = e.target.closest('.preset-delete');
+    if (deleteBtn) {
+      e.stopPropagation();
+      deletePreset(deleteBtn.dataset.preset);
+      return;
+    }
+    const btn = e.target.closest('.preset-btn');
+    if (btn) applyPreset(btn.dataset.preset);
+  });
+
+  elements.btnPresetSave.addEventListener('click', saveCurrentAsPreset);
+  elements.btnPresetExport.addEventListener('click', exportPresets);
+  elements.btnPresetImport.addEventListener('click', () => elements.presetImportFile.click());
+  elements.presetImportFile.addEventListener('change', (e) => {
+    if (e.target.files.length) importPresets(e.target.files[0]);
   });
 
   // Capture buttons
   elements.btnPhoto.addEventListener('click', capturePhoto);
+  elements.photoFormat.value = localStorage.getItem('photoFormat') || 'jpg';
+  elements.photoFormat.addEventListener('change', (e) => localStorage.setItem('photoFormat', e.target.value));
+  elements.captureTarget.value = localStorage.getItem('captureTarget') || '';
+  elements.captureTarget.addEventListener('change', (e) => localStorage.setItem('captureTarget', e.target.value.trim()));
   elements.btnVideo.addEventListener('click', toggleRecording);
+  elements.btnSequence.addEventListener('click', toggleSequence);
+  elements.btnTimelapse.addEventListener('click', toggleTimelapse);
+
+  // Gallery selection and bulk export
+  elements.btnSelect.addEventListener('click', toggleSelectionMode);
+  elements.btnDownloadSelected.addEventListener('click', () => downloadArchive({ filenames: [...selectedCaptures] }));
+  elements.btnDeleteSelected.addEventListener('click', deleteSelected);
+  elements.btnDownloadRange.addEventListener('click', downloadRange);
+  elements.gallery.addEventListener('click', handleGalleryClick);
+
+  // Sessions
+  elements.sessionLocation.value = localStorage.getItem('sessionLocation') || '';
+  elements.btnSessionStart.addEventListener('click', startSession);
+  elements.btnSessionEnd.addEventListener('click', endSession);
+
+  // Live exposure statistics
+  elements.btnExposure.addEventListener('click', toggleExposureMonitor);
+
+  // Video overlays; the layers follow the picture as the video or window is resized
+  elements.btnOverlayStats.addEventListener('click', () => toggleVideoOverlay('stats'));
+  elements.btnOverlayCrosshair.addEventListener('click', () => toggleVideoOverlay('crosshair'));
+  elements.btnOverlayLevels.addEventListener('click', () => toggleVideoOverlay('levels'));
+  elements.btnOverlayRegions.addEventListener('click', () => toggleVideoOverlay('regions'));
+  elements.stream.addEventListener('resize', fitVideoLayers);
+  window.addEventListener('resize', fitVideoLayers);
+
+  // Live stack
+  elements.btnStack.addEventListener('click', toggleStack);
+  elements.btnStackReset.addEventListener('click', resetStack);
+  elements.btnStackSave.addEventListener('click', saveStack);
+
+  // Focus assist
+  elements.btnFocus.addEventListener('click', toggleFocusAssist);
+  elements.btnFocusReset.addEventListener('click', resetFocusAssist);
+  elements.focusRoi.addEventListener('change', updateFocusSettings);
+  elements.focusRoi.addEventListener('change', renderVideoOverlay);
+  elements.focusBahtinov.addEventListener('change', updateFocusSettings);
+  elements.focusMetric.value = localStorage.getItem('focusMetric') || 'laplacian';
+  elements.focusMetric.addEventListener('change', (e) => {
+    localStorage.setItem('focusMetric', e.target.value);
+    renderFocusAssist();
+  });
+
+  elements.btnAutofocus.addEventListener('click', toggleAutofocus);
+
+  // Auto exposure
+  elements.btnAe.addEventListener('click', toggleAutoExposure);
+  elements.btnAeRoi.addEventListener('click', () => toggleRoiDrawing('exposure'));
+  [elements.aeMode, elements.aeTarget, elements.aeTolerance, elements.aeMaxGain].forEach(input => {
+    input.addEventListener('change', updateAutoExposureSettings);
+  });
+  setupRoiDrawing();
+
+  // Calibration
+  elements.btnDark.addEventListener('click', () => captureCalibration('dark'));
+  elements.btnFlat.addEventListener('click', () => captureCalibration('flat'));
+  elements.applyDark.addEventListener('change', updateCalibrationSettings);
+  elements.applyFlat.addEventListener('change', updateCalibrationSettings);
+  elements.calibrationList.addEventListener('click', (e) => {
+    const btn = e.target.closest('.calibration-delete');
+    if (btn) deleteCalibration(btn.dataset.id);
+  });
+
+  // Stream outputs
+  elements.btnHls.addEventListener('click', toggleHls);
+  elements.btnRtmpSave.addEventListener('click', () => savePushOutput('rtmp'));
+  elements.btnRtmp.addEventListener('click', () => togglePushOutput('rtmp'));
+  elements.btnSrtSave.addEventListener('click', () => savePushOutput('srt'));
+  elements.btnSrt.addEventListener('click', () => togglePushOutput('srt'));
+
+  // Stream health
+  elements.btnHealthLog.addEventListener('click', toggleHealthLog);
+  elements.btnStreamRestart.addEventListener('click', restartStream);
+
+  // Capture viewer
+  setupViewerListeners();
+
+  // Camera switcher
+  elements.cameraSelect.addEventListener('change', (e) => {
+    if (isRecording && !confirm('This camera is recording. Switch anyway? The recording continues.')) {
+      e.target.value = currentCamera;
+      return;
+    }
+    selectCamera(e.target.value);
+  });
 
   // Reset button
   elements.btnReset.addEventListener('click', resetDefaults);
@@ -621,4 +3572,27 @@ function setupEventListeners() {
   elements.binningToggle.addEventListener('change', (e) => {
     setBinning(e.target.checked);
   });
+
+  // Stream region of interest
+  elements.btnStreamRoi.addEventListener('click', () => toggleRoiDrawing('stream'));
+  elements.btnStreamRoiReset.addEventListener('click', () => setStreamRoi(null));
+  elements.streamUpscale.addEventListener('change', () => {
+    if (streamState.roi) setStreamRoi(streamState.roi);
+  });
+
+  // Stream profiles
+  elements.btnStreamProfileApply.addEventListener('click', applyStreamProfile);
+  elements.btnStreamProfileEdit.addEventListener('click', () => {
+    const profile = streamProfiles.find(p => p.name === elements.streamProfile.value);
+    if (profile) openStreamProfileEditor(profile);
+  });
+  elements.btnStreamProfileNew.addEventListener('click', () => openStreamProfileEditor(null));
+  elements.btnStreamProfileDelete.addEventListener('click', deleteStreamProfile);
+  elements.profileFormat.addEventListener('change', () => {
+    updateProfileSizes();
+    updateProfileFps();
+  });
+  elements.profileSize.addEventListener('change', () => updateProfileFps());
+  elements.btnProfileSave.addEventListener('click', saveStreamProfile);
+  elements.btnProfileCancel.addEventListener('click', closeStreamProfileEditor);
 }
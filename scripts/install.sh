@@ -21,7 +21,7 @@ apt update
 
 echo ""
 echo "[2/5] Installing dependencies..."
-apt install -y ffmpeg hostapd dnsmasq v4l-utils
+apt install -y ffmpeg hostapd dnsmasq v4l-utils zip
 
 echo ""
 echo "[3/5] Installing MediaMTX..."
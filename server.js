@@ -1,44 +1,22 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { spawn } = require('child_process');
 const { WebSocketServer } = require('ws');
 const http = require('http');
 const apiRoutes = require('./src/api/routes');
-const CaptureService = require('./src/camera/captureService');
+const { createServices, initializeServices } = require('./src/services');
 
 const PORT = process.env.PORT || 3000;
-const MEDIAMTX_CONFIG = path.join(__dirname, 'mediamtx.yml');
-
-// MediaMTX restart configuration with exponential backoff
-const MEDIAMTX_RESTART = {
-  initialDelay: 2000,
-  maxDelay: 60000,
-  maxRestarts: 10,
-  resetAfter: 300000
-};
-
-let restartState = {
-  count: 0,
-  delay: MEDIAMTX_RESTART.initialDelay,
-  lastStableTime: null
-};
 
 // Initialize Express
 const app = express();
 const server = http.createServer(app);
 
-// Initialize Capture Service
-const captureService = new CaptureService();
-
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// API routes
-app.use('/api', apiRoutes);
-
 // WebSocket for real-time updates
 const wss = new WebSocketServer({ server, path: '/ws' });
 
@@ -57,94 +35,70 @@ wss.on('connection', (ws) => {
 
   ws.on('close', () => {
     console.log('WebSocket client disconnected');
+    // Nobody left to look at histograms or focus graphs - stop decoding the stream for them
+    if (wss.clients.size === 0) {
+      for (const camera of services.cameras.all()) {
+        if (camera.exposure.running) camera.exposure.stop();
+        if (camera.focus.running) camera.focus.stop();
+      }
+    }
   });
 });
 
-// MediaMTX process management
-let mediamtxProcess = null;
-
-const resetRestartState = () => {
-  restartState = {
-    count: 0,
-    delay: MEDIAMTX_RESTART.initialDelay,
-    lastStableTime: null
-  };
-};
+// Shared services (cameras, stream, presets, MediaMTX supervisor)
+const services = createServices({ notify: broadcast });
 
-const startMediaMTX = () => {
-  console.log(`Starting MediaMTX... (attempt ${restartState.count + 1})`);
+// API routes
+app.use('/api', apiRoutes({ services, broadcast }));
 
-  mediamtxProcess = spawn('mediamtx', [MEDIAMTX_CONFIG], {
-    stdio: ['ignore', 'pipe', 'pipe']
-  });
+// Graceful shutdown: finalize any active recording before its RTSP source goes away
+const SHUTDOWN_TIMEOUT = 15000;
+let shuttingDown = false;
 
-  mediamtxProcess.stdout.on('data', (data) => {
-    const msg = data.toString().trim();
-    if (msg) console.log('[MediaMTX]', msg);
-  });
-
-  mediamtxProcess.stderr.on('data', (data) => {
-    const msg = data.toString().trim();
-    if (msg) console.error('[MediaMTX]', msg);
-  });
-
-  mediamtxProcess.on('error', (err) => {
-    console.error('MediaMTX failed to start:', err.message);
-    broadcast('streamError', { error: err.message });
-  });
+const shutdown = async () => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log('\nShutting down...');
 
-  mediamtxProcess.on('exit', (code) => {
-    console.log(`MediaMTX exited with code ${code}`);
-    broadcast('streamStopped', { code });
+  setTimeout(() => {
+    console.error('Shutdown timed out, forcing exit');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT).unref();
 
-    if (code !== 0) {
-      scheduleRestart();
+  await Promise.all(services.cameras.all().map(async (camera) => {
+    if (camera.intervalometer.getStatus().state === 'running') {
+      camera.intervalometer.stop({ skipVideo: true });
     }
-  });
-
-  // Mark as stable after running for a while
-  restartState.lastStableTime = Date.now();
-  setTimeout(() => {
-    if (mediamtxProcess && restartState.lastStableTime) {
-      const runningTime = Date.now() - restartState.lastStableTime;
-      if (runningTime >= MEDIAMTX_RESTART.resetAfter) {
-        console.log('MediaMTX stable for 5 minutes, resetting restart counter');
-        resetRestartState();
-      }
+    if (camera.stacker.running) {
+      camera.stacker.stop();
     }
-  }, MEDIAMTX_RESTART.resetAfter);
-};
-
-const scheduleRestart = () => {
-  restartState.count++;
-
-  if (restartState.count > MEDIAMTX_RESTART.maxRestarts) {
-    console.error(`MediaMTX failed ${MEDIAMTX_RESTART.maxRestarts} times, giving up`);
-    broadcast('streamError', { error: 'MediaMTX failed too many times' });
-    return;
-  }
-
-  console.log(`Restarting MediaMTX in ${restartState.delay / 1000}s...`);
-  setTimeout(startMediaMTX, restartState.delay);
-
-  // Exponential backoff
-  restartState.delay = Math.min(
-    restartState.delay * 2,
-    MEDIAMTX_RESTART.maxDelay
-  );
-};
+    if (camera.exposure.running) {
+      camera.exposure.stop();
+    }
+    if (camera.focus.running) {
+      camera.focus.stop();
+    }
+    if (camera.autofocus.running) {
+      camera.autofocus.cancel();
+    }
+    if (camera.autoExposure.running) {
+      camera.autoExposure.stop();
+    }
+    if (!camera.capture.getRecordingStatus().isRecording) return;
+    try {
+      const result = await camera.capture.stopRecording();
+      console.log(`Recording finalized: ${result.filename}`);
+      broadcast('recordingStopped', { camera: camera.id, filename: result.filename, duration: result.duration });
+    } catch (err) {
+      console.error(`Failed to finalize recording on ${camera.id}:`, err.message);
+    }
+  }));
 
-const stopMediaMTX = () => {
-  if (mediamtxProcess) {
-    mediamtxProcess.kill('SIGTERM');
-    mediamtxProcess = null;
-  }
-};
+  // Relays read from MediaMTX, so stop them before it goes away
+  await services.outputs.stopAll();
+  await services.supervisor.shutdown();
 
-// Graceful shutdown
-const shutdown = () => {
-  console.log('\nShutting down...');
-  stopMediaMTX();
+  wss.clients.forEach(client => client.close());
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -166,15 +120,15 @@ server.listen(PORT, '0.0.0.0', async () => {
   ====================================
   `);
 
-  // Initialize capture service directories
+  // Discover cameras, sync MediaMTX paths and prepare capture directories
   try {
-    await captureService.initialize();
+    await initializeServices(services);
   } catch (err) {
-    console.error('Failed to initialize CaptureService:', err.message);
+    console.error('Failed to initialize services:', err.message);
   }
 
   // Start MediaMTX
-  startMediaMTX();
+  services.supervisor.start();
 });
 
 module.exports = { app, broadcast };
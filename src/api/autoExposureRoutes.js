@@ -0,0 +1,47 @@
+const express = require('express');
+
+// Per-camera target-brightness auto exposure; mounted behind a middleware that sets req.camera
+const createAutoExposureRoutes = () => {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/', (req, res) => {
+    res.json({ success: true, ...req.camera.autoExposure.getStatus() });
+  });
+
+  router.post('/start', async (req, res) => {
+    try {
+      const { mode, target, tolerance, roi, maxExposure, maxGain } = req.body || {};
+      const settings = Object.fromEntries(
+        Object.entries({ mode, target, tolerance, roi, maxExposure, maxGain }).filter(([, v]) => v !== undefined)
+      );
+      res.json(await req.camera.autoExposure.start(settings));
+    } catch (error) {
+      const status = /^(mode|target|tolerance|roi|max)/.test(error.message) ? 400 : 500;
+      res.status(status).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/stop', (req, res) => {
+    try {
+      res.json(req.camera.autoExposure.stop());
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  router.put('/settings', (req, res) => {
+    try {
+      const { mode, target, tolerance, roi, maxExposure, maxGain } = req.body || {};
+      const settings = Object.fromEntries(
+        Object.entries({ mode, target, tolerance, roi, maxExposure, maxGain }).filter(([, v]) => v !== undefined)
+      );
+      res.json(req.camera.autoExposure.update(settings));
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAutoExposureRoutes;
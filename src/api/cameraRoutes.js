@@ -0,0 +1,168 @@
+const express = require('express');
+
+// Per-camera control and preset routes; mounted behind a middleware that sets req.camera
+const createCameraRoutes = ({ presets, broadcast }) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Camera Controls
+  router.get('/controls', async (req, res) => {
+    try {
+      const controls = await req.camera.controller.getControls();
+      res.json({ success: true, controls });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/control/:name', async (req, res) => {
+    try {
+      const value = await req.camera.controller.getControl(req.params.name);
+      res.json({ success: true, name: req.params.name, value });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.put('/control/:name', async (req, res) => {
+    try {
+      const { value } = req.body;
+      if (value === undefined) {
+        return res.status(400).json({ success: false, error: 'Value required' });
+      }
+      const result = await req.camera.controller.setControl(req.params.name, parseInt(value));
+      for (const [control, impliedValue] of Object.entries(result.implied)) {
+        broadcast('controlChanged', { camera: req.camera.id, control, value: impliedValue });
+      }
+      broadcast('controlChanged', { camera: req.camera.id, control: result.name, value: result.value });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Presets
+  router.get('/presets', async (req, res) => {
+    try {
+      res.json({ success: true, presets: await presets.list() });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/presets/export', async (req, res) => {
+    try {
+      const data = await presets.exportAll();
+      res.attachment('telescope-presets.json');
+      res.json(data);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/presets/import', async (req, res) => {
+    try {
+      const { presets: data, overwrite } = req.body || {};
+      const result = await presets.importPresets(data, overwrite === true);
+      broadcast('presetsChanged', {});
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/presets/:name', async (req, res) => {
+    try {
+      const preset = await presets.get(req.params.name);
+      if (!preset) {
+        return res.status(404).json({ success: false, error: 'Preset not found' });
+      }
+      res.json({ success: true, preset });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/presets/:name', async (req, res) => {
+    try {
+      const { controls, label } = req.body || {};
+      if (await presets.has(req.params.name)) {
+        return res.status(409).json({ success: false, error: 'Preset already exists' });
+      }
+      const preset = await presets.create(req.params.name, controls, label);
+      broadcast('presetsChanged', { name: preset.name });
+      res.json({ success: true, preset });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  router.put('/presets/:name', async (req, res) => {
+    try {
+      const { controls, label } = req.body || {};
+      if (!(await presets.has(req.params.name))) {
+        return res.status(404).json({ success: false, error: 'Preset not found' });
+      }
+      const preset = await presets.update(req.params.name, { controls, label });
+      broadcast('presetsChanged', { name: preset.name });
+      res.json({ success: true, preset });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  router.delete('/presets/:name', async (req, res) => {
+    try {
+      if (!(await presets.has(req.params.name))) {
+        return res.status(404).json({ success: false, error: 'Preset not found' });
+      }
+      const result = await presets.remove(req.params.name);
+      broadcast('presetsChanged', { name: result.name });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Save the camera's current control values as a preset (creates or overwrites)
+  router.post('/presets/:name/snapshot', async (req, res) => {
+    try {
+      const { label } = req.body || {};
+      const controls = await req.camera.controller.snapshotControls();
+      const preset = await presets.has(req.params.name)
+        ? await presets.update(req.params.name, { controls, label })
+        : await presets.create(req.params.name, controls, label);
+      broadcast('presetsChanged', { name: preset.name });
+      res.json({ success: true, preset });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/preset/:name', async (req, res) => {
+    try {
+      const preset = await presets.get(req.params.name);
+      if (!preset) {
+        return res.status(404).json({ success: false, error: 'Preset not found' });
+      }
+      const result = await req.camera.controller.applyPreset(preset.name, preset.controls);
+      broadcast('presetApplied', { camera: req.camera.id, ...result });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/reset', async (req, res) => {
+    try {
+      const results = await req.camera.controller.resetToDefaults();
+      broadcast('controlsReset', { camera: req.camera.id, results });
+      res.json({ success: true, results });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createCameraRoutes;
@@ -0,0 +1,316 @@
+const express = require('express');
+const fs = require('fs');
+
+// Per-camera capture routes; mounted behind a middleware that sets req.camera
+const createCaptureRoutes = ({ broadcast }) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Capture
+  router.get('/photo/formats', (req, res) => {
+    res.json({ success: true, formats: req.camera.capture.getPhotoFormats() });
+  });
+
+  router.post('/photo', async (req, res) => {
+    const { format = 'jpg', target, notes } = req.body || {};
+    if (!req.camera.capture.getPhotoFormats().some(f => f.id === format)) {
+      return res.status(400).json({ success: false, error: `Unknown photo format "${format}"` });
+    }
+    try {
+      const result = await req.camera.capture.capturePhoto({ format, target, notes });
+      broadcast('captureComplete', { camera: req.camera.id, type: 'photo', filename: result.filename });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/video/start', async (req, res) => {
+    try {
+      const { target, notes } = req.body || {};
+      const result = await req.camera.capture.startRecording({ target, notes });
+      broadcast('recordingStarted', { camera: req.camera.id, filename: result.filename, startTime: result.startTime });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/video/stop', async (req, res) => {
+    try {
+      const result = await req.camera.capture.stopRecording();
+      broadcast('recordingStopped', { camera: req.camera.id, filename: result.filename, duration: result.duration });
+      broadcast('captureComplete', { camera: req.camera.id, type: 'video', filename: result.filename });
+      res.json(result);
+    } catch (error) {
+      if (!req.camera.capture.getRecordingStatus().isRecording) {
+        broadcast('recordingStopped', { camera: req.camera.id });
+      }
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/video/status', (req, res) => {
+    res.json(req.camera.capture.getRecordingStatus());
+  });
+
+  // Image sequences (burst capture)
+  router.post('/sequence', async (req, res) => {
+    try {
+      const { count, interval, target, notes } = req.body || {};
+      if (count === undefined) {
+        return res.status(400).json({ success: false, error: 'count required' });
+      }
+      const result = await req.camera.capture.startSequence({ count, interval, target, notes });
+      res.json(result);
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/sequence/cancel', (req, res) => {
+    try {
+      res.json(req.camera.capture.cancelSequence());
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/sequence/status', (req, res) => {
+    res.json(req.camera.capture.getSequenceStatus());
+  });
+
+  // Timelapse (intervalometer)
+  router.post('/timelapse/start', async (req, res) => {
+    try {
+      const { interval, count, duration, video, fps, target, notes } = req.body || {};
+      const result = await req.camera.intervalometer.start({ interval, count, duration, video, fps, target, notes });
+      res.json(result);
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/timelapse/stop', (req, res) => {
+    try {
+      const { video } = req.body || {};
+      res.json(req.camera.intervalometer.stop({ skipVideo: video === false }));
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/timelapse/status', (req, res) => {
+    res.json(req.camera.intervalometer.getStatus());
+  });
+
+  // Calibration library (master darks/flats)
+  router.get('/calibration', (req, res) => {
+    res.json({ success: true, ...req.camera.capture.calibration.list() });
+  });
+
+  router.put('/calibration/settings', async (req, res) => {
+    try {
+      const { applyDark, applyFlat } = req.body || {};
+      const result = await req.camera.capture.calibration.updateSettings({ applyDark, applyFlat });
+      broadcast('calibrationChanged', { camera: req.camera.id });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/calibration/:type', async (req, res) => {
+    if (!['dark', 'flat'].includes(req.params.type)) {
+      return res.status(400).json({ success: false, error: 'type must be "dark" or "flat"' });
+    }
+    try {
+      const { frames } = req.body || {};
+      const result = await req.camera.capture.calibration.captureMaster(req.params.type, { frames });
+      broadcast('calibrationChanged', { camera: req.camera.id });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.delete('/calibration/:id', async (req, res) => {
+    try {
+      const result = await req.camera.capture.calibration.remove(req.params.id);
+      broadcast('calibrationChanged', { camera: req.camera.id });
+      res.json(result);
+    } catch (error) {
+      res.status(404).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/sequences/:name', async (req, res) => {
+    try {
+      res.json(await req.camera.capture.listSequenceFrames(req.params.name));
+    } catch (error) {
+      res.status(404).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/sequences/:name/:frame', (req, res) => {
+    const filepath = req.camera.capture.getSequenceFramePath(req.params.name, req.params.frame);
+    if (!filepath || !fs.existsSync(filepath)) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+    res.sendFile(filepath);
+  });
+
+  router.get('/list', async (req, res) => {
+    try {
+      const type = req.query.type || 'all';
+      const result = await req.camera.capture.listCaptures(type);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Downscaled JPEG preview of any capture, generated on first request if missing
+  router.get('/thumbnails/:filename', async (req, res) => {
+    const filepath = req.camera.capture.getFilePath(req.params.filename);
+    if (!filepath || !fs.existsSync(filepath)) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+    try {
+      const thumbPath = await req.camera.capture.thumbnails.get(req.params.filename);
+      res.set('Cache-Control', 'public, max-age=86400');
+      res.sendFile(thumbPath);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Full-resolution photo for the viewer; TIFF/FITS are converted to JPEG on first request
+  router.get('/preview/:filename', async (req, res) => {
+    try {
+      res.sendFile(await req.camera.capture.thumbnails.getPreview(req.params.filename));
+    } catch (error) {
+      const status = error.message === 'File not found' ? 404 : 500;
+      res.status(status).json({ success: false, error: error.message });
+    }
+  });
+
+  // Frame rate, size and length of a recording
+  router.get('/:filename/video', async (req, res) => {
+    try {
+      res.json(await req.camera.capture.probeVideo(req.params.filename));
+    } catch (error) {
+      const status = error.message === 'Video not found' ? 404 : 500;
+      res.status(status).json({ success: false, error: error.message });
+    }
+  });
+
+  // Capture metadata sidecar (camera settings, target, notes)
+  router.get('/:filename/metadata', async (req, res) => {
+    const filepath = req.camera.capture.getFilePath(req.params.filename);
+    const metadata = filepath ? await req.camera.capture.readMetadata(filepath) : null;
+    if (!metadata) {
+      return res.status(404).json({ success: false, error: 'Metadata not found' });
+    }
+    res.json({ success: true, filename: req.params.filename, metadata });
+  });
+
+  router.put('/:filename/metadata', async (req, res) => {
+    try {
+      const { target, notes } = req.body || {};
+      const result = await req.camera.capture.updateMetadata(req.params.filename, { target, notes });
+      broadcast('captureUpdated', { camera: req.camera.id, filename: result.filename });
+      res.json(result);
+    } catch (error) {
+      const status = error.message === 'File not found' ? 404 : 500;
+      res.status(status).json({ success: false, error: error.message });
+    }
+  });
+
+  // Bulk export: prepare a selection, then download it as a streamed ZIP
+  router.post('/archive', async (req, res) => {
+    try {
+      const { filenames, session, from, to } = req.body || {};
+      const result = await req.camera.archive.prepare({ filenames, session, from, to });
+      res.json({ ...result, url: `${req.baseUrl}/archive/${result.id}` });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/archive/:id', (req, res) => {
+    const archive = req.camera.archive.get(req.params.id);
+    if (!archive) {
+      return res.status(404).json({ success: false, error: 'Archive not found or expired' });
+    }
+
+    const zip = req.camera.archive.stream(archive);
+    let stderrTail = '';
+    zip.stderr.on('data', (data) => {
+      stderrTail = (stderrTail + data.toString()).slice(-500);
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.attachment(archive.name);
+    zip.stdout.pipe(res);
+
+    zip.once('error', (err) => {
+      console.error('Archive error:', err.message);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, error: err.message });
+      } else {
+        res.destroy();
+      }
+    });
+    zip.once('close', (code) => {
+      if (code !== 0) {
+        console.error(`Archive ${archive.name} failed (code ${code}):`, stderrTail);
+        res.destroy();
+      }
+    });
+    // Client went away (e.g. Wi-Fi dropped) - don't leave zip running
+    res.once('close', () => {
+      if (zip.exitCode === null) {
+        zip.kill('SIGTERM');
+      }
+    });
+  });
+
+  router.post('/delete', async (req, res) => {
+    const { filenames } = req.body || {};
+    if (!Array.isArray(filenames) || filenames.length === 0) {
+      return res.status(400).json({ success: false, error: 'filenames required' });
+    }
+    try {
+      const result = await req.camera.capture.deleteCaptures(filenames);
+      if (result.deleted.length > 0) {
+        broadcast('captureDeleted', { camera: req.camera.id, filenames: result.deleted });
+      }
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Served with byte-range support (206/416) so the viewer can seek in large recordings
+  router.get('/:filename', (req, res) => {
+    const filepath = req.camera.capture.getFilePath(req.params.filename);
+    if (!filepath || !fs.existsSync(filepath) || fs.statSync(filepath).isDirectory()) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+    res.sendFile(filepath, { acceptRanges: true, lastModified: true });
+  });
+
+  router.delete('/:filename', async (req, res) => {
+    try {
+      const result = await req.camera.capture.deleteCapture(req.params.filename);
+      broadcast('captureDeleted', { camera: req.camera.id, filename: result.filename });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createCaptureRoutes;
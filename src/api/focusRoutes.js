@@ -0,0 +1,70 @@
+const express = require('express');
+
+// Per-camera focus assist; mounted behind a middleware that sets req.camera
+const createFocusRoutes = () => {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/status', (req, res) => {
+    res.json({ success: true, ...req.camera.focus.getStatus() });
+  });
+
+  router.post('/start', async (req, res) => {
+    try {
+      const { roi, fps, bahtinov } = req.body || {};
+      res.json(await req.camera.focus.start({ roi, fps, bahtinov }));
+    } catch (error) {
+      const status = error.message.startsWith('roi') ? 400 : 500;
+      res.status(status).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/stop', (req, res) => {
+    try {
+      res.json(req.camera.focus.stop());
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Change the region or toggle Bahtinov analysis without stopping
+  router.put('/settings', (req, res) => {
+    try {
+      const { roi, bahtinov } = req.body || {};
+      res.json(req.camera.focus.update({ roi, bahtinov }));
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Clear the graph and best values
+  router.post('/reset', (req, res) => {
+    res.json(req.camera.focus.clear());
+  });
+
+  // Autofocus sweep; progress and the V-curve arrive over the WebSocket
+  router.get('/autofocus', (req, res) => {
+    res.json({ success: true, ...req.camera.autofocus.getStatus() });
+  });
+
+  router.post('/autofocus', async (req, res) => {
+    try {
+      const { start, end, steps, metric, frames, settle, roi } = req.body || {};
+      res.json(await req.camera.autofocus.start({ start, end, steps, metric, frames, settle, roi }));
+    } catch (error) {
+      const status = /^(start|steps|metric|roi)/.test(error.message) ? 400 : 500;
+      res.status(status).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/autofocus/cancel', (req, res) => {
+    try {
+      res.json(req.camera.autofocus.cancel());
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createFocusRoutes;
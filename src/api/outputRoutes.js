@@ -0,0 +1,65 @@
+const express = require('express');
+
+// Extra stream outputs (HLS, RTMP and SRT pushes); shared by all cameras, ingest URLs are only ever returned masked
+const createOutputRoutes = ({ outputs }) => {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json({ success: true, outputs: outputs.getStatus() });
+  });
+
+  router.put('/:type', async (req, res) => {
+    if (!outputs.has(req.params.type)) {
+      return res.status(404).json({ success: false, error: 'Output not found' });
+    }
+    if (req.params.type === 'hls') {
+      return res.status(400).json({ success: false, error: 'hls has no settings; start or stop it' });
+    }
+    try {
+      const { url, camera } = req.body || {};
+      res.json({ success: true, outputs: await outputs.configure(req.params.type, { url, camera }) });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.delete('/:type', async (req, res) => {
+    if (!outputs.has(req.params.type)) {
+      return res.status(404).json({ success: false, error: 'Output not found' });
+    }
+    if (req.params.type === 'hls') {
+      return res.status(400).json({ success: false, error: 'hls has no settings; start or stop it' });
+    }
+    try {
+      res.json({ success: true, outputs: await outputs.remove(req.params.type) });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/:type/start', async (req, res) => {
+    if (!outputs.has(req.params.type)) {
+      return res.status(404).json({ success: false, error: 'Output not found' });
+    }
+    try {
+      res.json({ success: true, outputs: await outputs.start(req.params.type) });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/:type/stop', async (req, res) => {
+    if (!outputs.has(req.params.type)) {
+      return res.status(404).json({ success: false, error: 'Output not found' });
+    }
+    try {
+      res.json({ success: true, outputs: await outputs.stop(req.params.type) });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createOutputRoutes;
@@ -1,165 +1,78 @@
 const express = require('express');
-const path = require('path');
-const fs = require('fs');
-const V4L2Controller = require('../camera/v4l2Controller');
-const CaptureService = require('../camera/captureService');
-const StreamService = require('../camera/streamService');
-
-const router = express.Router();
-const camera = new V4L2Controller();
-const capture = new CaptureService();
-const stream = new StreamService();
-
-// Initialize capture service directories
-capture.initialize().catch(err => {
-  console.error('Failed to initialize CaptureService in routes:', err.message);
-});
-
-// Camera Controls
-router.get('/camera/controls', async (req, res) => {
-  try {
-    const controls = await camera.getControls();
-    res.json({ success: true, controls });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-router.get('/camera/control/:name', async (req, res) => {
-  try {
-    const value = await camera.getControl(req.params.name);
-    res.json({ success: true, name: req.params.name, value });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-router.put('/camera/control/:name', async (req, res) => {
-  try {
-    const { value } = req.body;
-    if (value === undefined) {
-      return res.status(400).json({ success: false, error: 'Value required' });
+const createCameraRoutes = require('./cameraRoutes');
+const createCaptureRoutes = require('./captureRoutes');
+const createStreamRoutes = require('./streamRoutes');
+const createStackRoutes = require('./stackRoutes');
+const createSessionRoutes = require('./sessionRoutes');
+const createFocusRoutes = require('./focusRoutes');
+const createAutoExposureRoutes = require('./autoExposureRoutes');
+const createSystemRoutes = require('./systemRoutes');
+const createOutputRoutes = require('./outputRoutes');
+
+// Build the API router around the shared services; broadcast pushes state changes to every WebSocket client
+const createApiRoutes = ({ services, broadcast = () => {} }) => {
+  const { cameras, stream, profiles, presets, sessions, supervisor, outputs } = services;
+  const router = express.Router();
+
+  const cameraRoutes = createCameraRoutes({ presets, broadcast });
+  const captureRoutes = createCaptureRoutes({ broadcast });
+  const streamRoutes = createStreamRoutes({ stream, profiles, broadcast });
+  const stackRoutes = createStackRoutes();
+  const sessionRoutes = createSessionRoutes({ sessions, cameras, broadcast });
+  const focusRoutes = createFocusRoutes();
+  const autoExposureRoutes = createAutoExposureRoutes();
+  const systemRoutes = createSystemRoutes({ supervisor, stream, cameras });
+  const outputRoutes = createOutputRoutes({ outputs });
+
+  // Resolve :id to a camera, or the default camera for the unscoped routes
+  const useCamera = (req, res, next) => {
+    const camera = req.params.id ? cameras.get(req.params.id) : cameras.getDefault();
+    if (!camera) {
+      return res.status(404).json({ success: false, error: 'Camera not found' });
     }
-    const result = await camera.setControl(req.params.name, parseInt(value));
-    res.json({ success: true, ...result });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-router.get('/camera/presets', (req, res) => {
-  res.json({ success: true, presets: camera.getPresets() });
-});
-
-router.post('/camera/preset/:name', async (req, res) => {
-  try {
-    const result = await camera.applyPreset(req.params.name);
-    res.json({ success: true, ...result });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-router.post('/camera/reset', async (req, res) => {
-  try {
-    const results = await camera.resetToDefaults();
-    res.json({ success: true, results });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-// Capture
-router.post('/capture/photo', async (req, res) => {
-  try {
-    const result = await capture.capturePhoto();
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-router.post('/capture/video/start', async (req, res) => {
-  try {
-    const result = await capture.startRecording();
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-router.post('/capture/video/stop', async (req, res) => {
-  try {
-    const result = await capture.stopRecording();
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+    req.camera = camera;
+    next();
+  };
+
+  // Stream status
+  router.get('/stream/status', async (req, res) => {
+    try {
+      res.json({ success: true, paths: await stream.mediamtx.listPaths() });
+    } catch (error) {
+      res.json({ success: false, error: 'MediaMTX not responding' });
+    }
+  });
 
-router.get('/capture/video/status', (req, res) => {
-  res.json(capture.getRecordingStatus());
-});
+  // MediaMTX process health and manual restart
+  router.use('/system', systemRoutes);
 
-router.get('/capture/list', async (req, res) => {
-  try {
-    const type = req.query.type || 'all';
-    const result = await capture.listCaptures(type);
-    res.json({ success: true, ...result });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+  // HLS, RTMP and SRT outputs (shared by all cameras)
+  router.use('/outputs', outputRoutes);
 
-router.get('/capture/:filename', (req, res) => {
-  const filepath = capture.getFilePath(req.params.filename);
-  if (!filepath || !fs.existsSync(filepath)) {
-    return res.status(404).json({ success: false, error: 'File not found' });
-  }
-  res.sendFile(filepath);
-});
+  // Cameras
+  router.get('/cameras', (req, res) => {
+    res.json({ success: true, cameras: cameras.list() });
+  });
 
-router.delete('/capture/:filename', async (req, res) => {
-  try {
-    const result = await capture.deleteCapture(req.params.filename);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+  // Observing sessions (shared by all cameras)
+  router.use('/sessions', sessionRoutes);
 
-// Stream status
-router.get('/stream/status', async (req, res) => {
-  try {
-    const response = await fetch('http://127.0.0.1:9997/v3/paths/list');
-    const data = await response.json();
-    res.json({ success: true, paths: data.items });
-  } catch (error) {
-    res.json({ success: false, error: 'MediaMTX not responding' });
-  }
-});
+  router.use('/cameras/:id/capture', useCamera, captureRoutes);
+  router.use('/cameras/:id/stream', useCamera, streamRoutes);
+  router.use('/cameras/:id/stack', useCamera, stackRoutes);
+  router.use('/cameras/:id/focus', useCamera, focusRoutes);
+  router.use('/cameras/:id/auto-exposure', useCamera, autoExposureRoutes);
+  router.use('/cameras/:id', useCamera, cameraRoutes);
 
-// Binning control
-router.get('/stream/binning', async (req, res) => {
-  try {
-    const status = await stream.getBinningStatus();
-    res.json(status);
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+  // Default camera (original single-camera API)
+  router.use('/camera', useCamera, cameraRoutes);
+  router.use('/capture', useCamera, captureRoutes);
+  router.use('/stream', useCamera, streamRoutes);
+  router.use('/stack', useCamera, stackRoutes);
+  router.use('/focus', useCamera, focusRoutes);
+  router.use('/auto-exposure', useCamera, autoExposureRoutes);
 
-router.post('/stream/binning', async (req, res) => {
-  try {
-    const { enabled } = req.body;
-    if (enabled === undefined) {
-      return res.status(400).json({ success: false, error: 'enabled parameter required' });
-    }
-    const result = await stream.setBinning(enabled);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+  return router;
+};
 
-module.exports = router;
+module.exports = createApiRoutes;
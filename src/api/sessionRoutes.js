@@ -0,0 +1,108 @@
+const express = require('express');
+
+// Observing sessions; each session lists its captures through the session store's index
+const createSessionRoutes = ({ sessions, cameras, broadcast }) => {
+  const router = express.Router();
+
+  // Capture folders are shared, so any camera can describe any capture
+  const sessionCaptures = async (session) => {
+    const captures = { photos: [], videos: [], sequences: [] };
+    const capture = cameras.getDefault().capture;
+    const found = await Promise.all(session.captures.map(filename => capture.describeCapture(filename)));
+    for (const entry of found) {
+      if (entry) captures[entry.type].push(entry.item);
+    }
+    for (const items of Object.values(captures)) {
+      items.sort((a, b) => new Date(b.created) - new Date(a.created));
+    }
+    return captures;
+  };
+
+  router.get('/', async (req, res) => {
+    try {
+      const list = await sessions.list();
+      res.json({
+        success: true,
+        sessions: list.map(({ captures, ...session }) => ({ ...session, captureCount: captures.length }))
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/active', async (req, res) => {
+    try {
+      res.json({ success: true, session: await sessions.getActive() });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    const { target, location, notes } = req.body || {};
+    if (typeof target !== 'string' || !target.trim()) {
+      return res.status(400).json({ success: false, error: 'target required' });
+    }
+    try {
+      const session = await sessions.start({ target, location, notes });
+      broadcast('sessionChanged', { id: session.id });
+      res.json({ success: true, session });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/end', async (req, res) => {
+    try {
+      const session = await sessions.end();
+      broadcast('sessionChanged', { id: session.id });
+      res.json({ success: true, session });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const session = await sessions.get(req.params.id);
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Session not found' });
+      }
+      const captures = await sessionCaptures(session);
+      res.json({ success: true, session, ...captures });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.put('/:id', async (req, res) => {
+    try {
+      if (!(await sessions.get(req.params.id))) {
+        return res.status(404).json({ success: false, error: 'Session not found' });
+      }
+      const { target, location, notes } = req.body || {};
+      const session = await sessions.update(req.params.id, { target, location, notes });
+      broadcast('sessionChanged', { id: session.id });
+      res.json({ success: true, session });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      if (!(await sessions.get(req.params.id))) {
+        return res.status(404).json({ success: false, error: 'Session not found' });
+      }
+      const result = await sessions.remove(req.params.id);
+      broadcast('sessionChanged', { id: result.id });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createSessionRoutes;
@@ -0,0 +1,60 @@
+const express = require('express');
+
+// Per-camera live stacking; mounted behind a middleware that sets req.camera
+const createStackRoutes = () => {
+  const router = express.Router({ mergeParams: true });
+
+  router.get('/status', (req, res) => {
+    res.json({ success: true, ...req.camera.stacker.getStatus() });
+  });
+
+  router.post('/start', async (req, res) => {
+    try {
+      const { mode, align, fps } = req.body || {};
+      const result = await req.camera.stacker.start({ mode, align, fps });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/stop', (req, res) => {
+    try {
+      res.json(req.camera.stacker.stop());
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/reset', (req, res) => {
+    res.json(req.camera.stacker.clear());
+  });
+
+  router.post('/save', async (req, res) => {
+    try {
+      const { target, notes } = req.body || {};
+      const result = await req.camera.stacker.save({ target, notes });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Current stack as a JPEG, for the live preview in the UI
+  router.get('/image', async (req, res) => {
+    try {
+      const filepath = await req.camera.stacker.getPreview();
+      if (!filepath) {
+        return res.status(404).json({ success: false, error: 'Nothing stacked yet' });
+      }
+      res.set('Cache-Control', 'no-store');
+      res.sendFile(filepath);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createStackRoutes;
@@ -0,0 +1,197 @@
+const express = require('express');
+
+// Per-camera stream settings; mounted behind a middleware that sets req.camera
+const createStreamRoutes = ({ stream, profiles, broadcast }) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Everything that shapes the stream: profile, binning and ROI
+  router.get('/state', (req, res) => {
+    try {
+      res.json(stream.getState(req.camera));
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Binning control
+  router.post('/binning', async (req, res) => {
+    try {
+      const { enabled } = req.body;
+      if (enabled === undefined) {
+        return res.status(400).json({ success: false, error: 'enabled parameter required' });
+      }
+      broadcast('binningChanging', { camera: req.camera.id, binning: enabled });
+      const result = await stream.setBinning(req.camera, enabled);
+      broadcast('binningChanged', { camera: req.camera.id, mode: result.mode, binning: result.mode === 'binned' });
+      res.json(result);
+    } catch (error) {
+      const mode = stream.getMode(req.camera);
+      broadcast('binningChanged', { camera: req.camera.id, mode, binning: mode === 'binned' });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Pixel formats, frame sizes and rates the device offers
+  router.get('/formats', async (req, res) => {
+    try {
+      const formats = await req.camera.controller.listFormats();
+      res.json({ success: true, camera: req.camera.id, formats });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Stream profiles (shared by all cameras)
+  router.get('/profiles', async (req, res) => {
+    try {
+      res.json({ success: true, profiles: await profiles.list() });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/profiles/:name', async (req, res) => {
+    try {
+      if (await profiles.has(req.params.name)) {
+        return res.status(409).json({ success: false, error: 'Stream profile already exists' });
+      }
+      const profile = await profiles.create(req.params.name, req.body);
+      broadcast('streamProfilesChanged', { name: profile.name });
+      res.json({ success: true, profile });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  router.put('/profiles/:name', async (req, res) => {
+    const { label, format, width, height, fps, bitrate, gop, output } = req.body || {};
+    const changes = { label, format, width, height, fps, bitrate, gop, output };
+    try {
+      const current = await profiles.get(req.params.name);
+      if (!current) {
+        return res.status(404).json({ success: false, error: 'Stream profile not found' });
+      }
+      const defined = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+      const updated = profiles.validateProfile({ ...current, ...defined });
+      // The cameras streaming with this profile must be able to produce the edited one
+      for (const camera of stream.camerasUsing(req.params.name)) {
+        await stream.checkSupported(camera, updated);
+      }
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+      // Cameras already streaming with this profile pick up the change
+      const { profile, restarted } = await stream.updateProfile(req.params.name, changes);
+      broadcast('streamProfilesChanged', { name: profile.name });
+      for (const id of restarted) {
+        broadcast('streamProfileChanged', { camera: id, mode: profile.name, profile, binning: profile.name === 'binned' });
+      }
+      res.json({ success: true, profile, restarted });
+    } catch (error) {
+      broadcast('streamProfilesChanged', { name: req.params.name });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.delete('/profiles/:name', async (req, res) => {
+    try {
+      if (!(await profiles.has(req.params.name))) {
+        return res.status(404).json({ success: false, error: 'Stream profile not found' });
+      }
+      const users = stream.camerasUsing(req.params.name);
+      if (users.length > 0) {
+        return res.status(409).json({ success: false, error: `Stream profile in use by ${users.map(c => c.name).join(', ')}` });
+      }
+      const result = await profiles.remove(req.params.name);
+      broadcast('streamProfilesChanged', { name: result.name });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Switch the camera to a stream profile
+  router.post('/profile/:name', async (req, res) => {
+    let profile;
+    try {
+      profile = await profiles.get(req.params.name);
+      if (!profile) {
+        return res.status(404).json({ success: false, error: 'Stream profile not found' });
+      }
+      await stream.checkSupported(req.camera, profile);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+      broadcast('streamProfileChanging', { camera: req.camera.id, mode: profile.name });
+      const result = await stream.setProfile(req.camera, profile.name);
+      broadcast('streamProfileChanged', { camera: req.camera.id, mode: result.mode, profile: result.profile, binning: result.mode === 'binned' });
+      res.json(result);
+    } catch (error) {
+      const mode = stream.getMode(req.camera);
+      broadcast('streamProfileChanged', { camera: req.camera.id, mode, profile: stream.getProfile(req.camera), binning: mode === 'binned' });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Region of interest: crop (and optionally upscale) part of the frame
+  router.put('/roi', async (req, res) => {
+    const { x, y, width, height, upscale } = req.body || {};
+    try {
+      stream.validateRoi({ x, y, width, height }, stream.getProfile(req.camera));
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+      broadcast('streamRoiChanging', { camera: req.camera.id });
+      const result = await stream.setRoi(req.camera, { x, y, width, height, upscale });
+      broadcast('streamRoiChanged', stream.getState(req.camera));
+      res.json(result);
+    } catch (error) {
+      broadcast('streamRoiChanged', stream.getState(req.camera));
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.delete('/roi', async (req, res) => {
+    try {
+      broadcast('streamRoiChanging', { camera: req.camera.id });
+      const result = await stream.setRoi(req.camera, null);
+      broadcast('streamRoiChanged', stream.getState(req.camera));
+      res.json(result);
+    } catch (error) {
+      broadcast('streamRoiChanged', stream.getState(req.camera));
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Live exposure statistics; samples arrive over the WebSocket as exposureStats
+  router.get('/stats', (req, res) => {
+    res.json({ success: true, ...req.camera.exposure.getStatus() });
+  });
+
+  router.post('/stats/start', async (req, res) => {
+    try {
+      const { interval } = req.body || {};
+      res.json(await req.camera.exposure.start({ interval }));
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/stats/stop', (req, res) => {
+    try {
+      res.json(req.camera.exposure.stop());
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createStreamRoutes;
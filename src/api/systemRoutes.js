@@ -0,0 +1,50 @@
+const express = require('express');
+
+// MediaMTX process supervision and per-camera path health
+const createSystemRoutes = ({ supervisor, stream, cameras }) => {
+  const router = express.Router();
+
+  router.get('/stream-health', async (req, res) => {
+    const health = { success: true, process: supervisor.getStatus(), api: true, paths: [] };
+
+    let items = [];
+    try {
+      items = await stream.mediamtx.listPaths();
+    } catch (error) {
+      // The process may be up while its API is not (yet) answering
+      health.api = false;
+      health.apiError = error.message;
+    }
+
+    const byName = new Map(items.map(item => [item.name, item]));
+    health.paths = cameras.all().map(camera => {
+      const item = byName.get(camera.path);
+      return {
+        camera: camera.id,
+        path: camera.path,
+        ready: item ? item.ready : false,
+        readyTime: item ? item.readyTime : null,
+        source: item && item.source ? item.source.type : null,
+        tracks: item ? item.tracks || [] : [],
+        readers: item ? (item.readers || []).length : 0,
+        bytesReceived: item ? item.bytesReceived || 0 : 0,
+        bytesSent: item ? item.bytesSent || 0 : 0
+      };
+    });
+
+    res.json(health);
+  });
+
+  // Manual restart, needed once the supervisor has given up after maxRestarts
+  router.post('/stream-restart', async (req, res) => {
+    try {
+      res.json({ success: true, process: await supervisor.restart() });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createSystemRoutes;
@@ -0,0 +1,358 @@
+const FrameReader = require('./frameReader');
+
+const READER_FPS = 2;
+const MODES = ['peak', 'max'];
+const DEFAULT_SETTINGS = { mode: 'max', target: 200, tolerance: 10, roi: { x: 0.25, y: 0.25, width: 0.5, height: 0.5 } };
+// "max" ignores the brightest 0.1% so a few hot pixels don't drive the exposure
+const MAX_PERCENTILE = 0.999;
+const SATURATED = 250;
+// Corrections are softened and capped so the loop converges instead of oscillating
+const DAMPING = 0.7;
+const MIN_RATIO = 0.25;
+const MAX_RATIO = 4;
+// Time for a new exposure to reach the stream; long exposures add their own length
+const SETTLE_MS = 1000;
+const EXPOSURE_UNITS_PER_SEC = 10000;
+const RESTART_DELAY_MS = 5000;
+
+// Target-brightness auto exposure for astronomy: the camera's own AE meters the whole
+// frame and blows out a planet on black sky. This loop meters a region of the live
+// stream and steers exposure_time_absolute and gain so the region's histogram peak
+// ("peak") or its brightest pixels ("max") sit at the target level. Exposure is used
+// first and gain only beyond maxExposure, keeping noise down.
+class AutoExposure {
+  constructor(capture, { controller }) {
+    this.capture = capture;
+    this.controller = controller;
+    this.reader = null;
+    this.enabled = false;
+    this.starting = false;
+    this.restartTimer = null;
+    this.reopen = false;
+    this.busy = false;
+    this.settleUntil = 0;
+    this.settings = { ...DEFAULT_SETTINGS, roi: { ...DEFAULT_SETTINGS.roi } };
+    this.limits = null;
+    this.exposure = null;
+    this.gain = null;
+    this.last = null;
+  }
+
+  get running() {
+    return this.enabled;
+  }
+
+  // Merge and validate settings; limits come from the camera's control ranges
+  applySettings(changes) {
+    const settings = { ...this.settings, ...changes, roi: changes.roi || this.settings.roi };
+
+    if (!MODES.includes(settings.mode)) {
+      throw new Error(`mode must be one of: ${MODES.join(', ')}`);
+    }
+    settings.target = parseInt(settings.target);
+    if (!Number.isInteger(settings.target) || settings.target < 1 || settings.target > 254) {
+      throw new Error('target must be between 1 and 254');
+    }
+    settings.tolerance = parseInt(settings.tolerance);
+    if (!Number.isInteger(settings.tolerance) || settings.tolerance < 1 || settings.tolerance > 100) {
+      throw new Error('tolerance must be between 1 and 100');
+    }
+
+    const roi = {};
+    for (const key of ['x', 'y', 'width', 'height']) {
+      roi[key] = parseFloat(settings.roi[key]);
+      if (!Number.isFinite(roi[key]) || roi[key] < 0 || roi[key] > 1) {
+        throw new Error(`roi.${key} must be between 0 and 1`);
+      }
+    }
+    if (roi.width < 0.01 || roi.height < 0.01 || roi.x + roi.width > 1 || roi.y + roi.height > 1) {
+      throw new Error('roi must lie inside the frame');
+    }
+    settings.roi = roi;
+
+    for (const key of ['maxExposure', 'maxGain']) {
+      if (settings[key] === undefined || settings[key] === null) continue;
+      settings[key] = parseInt(settings[key]);
+      if (!Number.isInteger(settings[key]) || settings[key] < 0) {
+        throw new Error(`${key} must be a positive integer`);
+      }
+    }
+
+    return settings;
+  }
+
+  async start(changes = {}) {
+    if (this.enabled || this.starting) {
+      throw new Error('Auto exposure already running');
+    }
+    const settings = this.applySettings(changes);
+
+    // Held across the awaits below so two starts can't both open readers
+    this.starting = true;
+    try {
+      return await this.begin(settings);
+    } finally {
+      this.starting = false;
+    }
+  }
+
+  async begin(settings) {
+    const controls = await this.controller.getControls();
+    const exposure = controls.exposure_time_absolute;
+    const gain = controls.gain;
+    if (!exposure) {
+      throw new Error('Camera has no exposure_time_absolute control');
+    }
+
+    const streamReady = await this.capture.checkStreamHealth();
+    if (!streamReady) {
+      throw new Error('Stream not ready - MediaMTX may be starting up');
+    }
+
+    this.limits = {
+      minExposure: exposure.min,
+      maxExposure: exposure.max,
+      minGain: gain ? gain.min : null,
+      maxGain: gain ? gain.max : null
+    };
+    const previousSettings = this.settings;
+    this.settings = settings;
+    this.exposure = exposure.value;
+    this.gain = gain ? gain.value : null;
+    this.last = null;
+    this.enabled = true;
+    this.settleUntil = 0;
+
+    // Switches the camera to manual exposure; a failure leaves AE stopped, not half started
+    try {
+      await this.controller.setControl('exposure_time_absolute', this.exposure);
+    } catch (error) {
+      this.enabled = false;
+      this.settings = previousSettings;
+      throw error;
+    }
+    this.openReader();
+
+    this.capture.notify('autoExposureStarted', this.getStatus());
+    return { success: true, ...this.getStatus() };
+  }
+
+  stop() {
+    if (!this.enabled) {
+      throw new Error('Auto exposure not running');
+    }
+
+    this.enabled = false;
+    this.reopen = false;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    if (this.reader) {
+      this.reader.stop();
+    }
+
+    this.capture.notify('autoExposureStopped', this.getStatus());
+    return { success: true, ...this.getStatus() };
+  }
+
+  update(changes = {}) {
+    const roiChanged = changes.roi !== undefined;
+    this.settings = this.applySettings(changes);
+    this.settleUntil = 0;
+
+    // The ROI crop happens in ffmpeg, so a new region needs a new reader
+    if (roiChanged && this.reader) {
+      this.reopen = true;
+      this.reader.stop();
+    }
+
+    this.capture.notify('autoExposureSettingsChanged', this.getStatus());
+    return { success: true, ...this.getStatus() };
+  }
+
+  openReader() {
+    const { x, y, width, height } = this.settings.roi;
+    const reader = new FrameReader(this.capture.rtspUrl, {
+      fps: READER_FPS,
+      pixelFormat: 'rgb24',
+      filter: `crop=iw*${width}:ih*${height}:iw*${x}:ih*${y}`
+    });
+    this.reader = reader;
+
+    reader.on('frame', (frame) => {
+      this.addFrame(frame).catch((err) => {
+        console.error('Auto exposure adjustment failed:', err.message);
+      });
+    });
+    reader.on('error', (err) => {
+      console.error('Auto exposure reader error:', err.message);
+    });
+    reader.on('close', ({ stderr }) => {
+      this.reader = null;
+      if (!this.enabled) return;
+
+      if (this.reopen) {
+        this.reopen = false;
+        this.openReader();
+        return;
+      }
+      console.error('Auto exposure reader exited:', stderr.slice(-200));
+      this.restartTimer = setTimeout(() => {
+        this.restartTimer = null;
+        if (this.enabled && !this.reader) this.openReader();
+      }, RESTART_DELAY_MS);
+    });
+    reader.start();
+  }
+
+  // Brightness of the region the way the selected mode sees it
+  measure(frame) {
+    const { data } = frame;
+    const pixels = data.length / 3;
+    const lumHistogram = new Uint32Array(256);
+    const maxHistogram = new Uint32Array(256);
+    let saturated = 0;
+
+    for (let p = 0; p < data.length; p += 3) {
+      const r = data[p];
+      const g = data[p + 1];
+      const b = data[p + 2];
+      lumHistogram[(r * 77 + g * 150 + b * 29) >> 8]++;
+      const max = Math.max(r, g, b);
+      maxHistogram[max]++;
+      if (max >= SATURATED) saturated++;
+    }
+
+    let value;
+    if (this.settings.mode === 'peak') {
+      // Histogram peak, smoothed over 5 levels so noise can't pick a stray bin
+      let best = -1;
+      for (let v = 0; v < 256; v++) {
+        let sum = 0;
+        for (let d = -2; d <= 2; d++) sum += lumHistogram[Math.min(255, Math.max(0, v + d))];
+        if (sum > best) {
+          best = sum;
+          value = v;
+        }
+      }
+    } else {
+      const limit = pixels * MAX_PERCENTILE;
+      let count = 0;
+      for (value = 0; value < 255; value++) {
+        count += maxHistogram[value];
+        if (count >= limit) break;
+      }
+    }
+
+    return { value, saturated: Math.round(saturated / pixels * 10000) / 100 };
+  }
+
+  async addFrame(frame) {
+    if (!this.enabled || this.busy || Date.now() < this.settleUntil) return;
+
+    const { value, saturated } = this.measure(frame);
+    this.busy = true;
+    try {
+      // Someone may have moved the sliders since the last step
+      if (Math.abs(value - this.settings.target) > this.settings.tolerance) {
+        await this.refreshControls();
+      }
+    } finally {
+      this.busy = false;
+    }
+    if (!this.enabled) return;
+
+    const next = this.nextControls(value);
+    this.last = {
+      timestamp: new Date().toISOString(),
+      value,
+      saturated,
+      exposure: this.exposure,
+      gain: this.gain,
+      state: next ? 'adjusting' : (Math.abs(value - this.settings.target) <= this.settings.tolerance ? 'locked' : 'limit')
+    };
+    this.capture.notify('autoExposureUpdate', this.last);
+
+    if (next) {
+      this.busy = true;
+      try {
+        await this.setControls(next);
+      } finally {
+        this.busy = false;
+      }
+    }
+  }
+
+  // New { exposure, gain } to move towards the target, or null when locked or at a limit
+  nextControls(value) {
+    const { target, tolerance } = this.settings;
+    if (Math.abs(value - target) <= tolerance) {
+      return null;
+    }
+
+    // A clipped region could be any amount too bright; at least halve it
+    let ratio = target / Math.max(value, 1);
+    if (value >= SATURATED) ratio = Math.min(ratio, 0.5);
+    ratio = Math.min(Math.max(ratio ** DAMPING, MIN_RATIO), MAX_RATIO);
+
+    const { minExposure, minGain } = this.limits;
+    const maxExposure = Math.min(this.settings.maxExposure || this.limits.maxExposure, this.limits.maxExposure);
+    const maxGain = this.gain === null ? null : Math.min(this.settings.maxGain ?? this.limits.maxGain, this.limits.maxGain);
+    let exposure = this.exposure;
+    let gain = this.gain;
+
+    if (ratio > 1) {
+      const wanted = exposure * ratio;
+      if (wanted <= maxExposure || gain === null) {
+        exposure = Math.min(Math.max(Math.round(wanted), exposure + 1), maxExposure);
+      } else {
+        // Out of exposure: make up the rest with gain. A floor lets gain leave 0.
+        exposure = maxExposure;
+        const floor = Math.max(1, Math.round((maxGain - minGain) / 20));
+        gain = Math.min(Math.max(Math.round(Math.max(gain, floor) * wanted / maxExposure), gain + 1), maxGain);
+      }
+    } else if (gain !== null && gain > minGain) {
+      // Too bright: drop gain before exposure. Small values still move by at least one step.
+      gain = Math.max(Math.min(Math.round(gain * ratio), gain - 1), minGain);
+    } else {
+      exposure = Math.max(Math.min(Math.round(exposure * ratio), exposure - 1), minExposure);
+    }
+
+    if (exposure === this.exposure && gain === this.gain) {
+      return null;
+    }
+    return { exposure, gain };
+  }
+
+  async refreshControls() {
+    const controls = await this.controller.getControls();
+    if (controls.exposure_time_absolute) this.exposure = controls.exposure_time_absolute.value;
+    if (controls.gain) this.gain = controls.gain.value;
+  }
+
+  async setControls({ exposure, gain }) {
+    if (exposure !== this.exposure) {
+      await this.controller.setControl('exposure_time_absolute', exposure);
+      this.exposure = exposure;
+      this.capture.notify('controlChanged', { control: 'exposure_time_absolute', value: exposure });
+    }
+    if (gain !== null && gain !== this.gain) {
+      await this.controller.setControl('gain', gain);
+      this.gain = gain;
+      this.capture.notify('controlChanged', { control: 'gain', value: gain });
+    }
+
+    const exposureMs = this.exposure / EXPOSURE_UNITS_PER_SEC * 1000;
+    this.settleUntil = Date.now() + SETTLE_MS + exposureMs * 2;
+  }
+
+  getStatus() {
+    return {
+      running: this.enabled,
+      settings: this.settings,
+      limits: this.limits,
+      last: this.last
+    };
+  }
+}
+
+module.exports = AutoExposure;
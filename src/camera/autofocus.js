@@ -0,0 +1,316 @@
+const FrameReader = require('./frameReader');
+
+const FOCUS_CONTROL = 'focus_absolute';
+const DEFAULT_STEPS = 15;
+const MAX_STEPS = 50;
+const DEFAULT_FRAMES = 2;
+// Let the lens motor stop and the stream's latency drain before measuring
+const DEFAULT_SETTLE_MS = 700;
+const READER_FPS = 5;
+const FRAME_TIMEOUT_MS = 10000;
+// Points either side of the best sample used for the curve fit
+const FIT_HALF_WIDTH = 3;
+
+// Autofocus sweep: steps focus_absolute across a range, measures sharpness on frames
+// from the live RTSP stream (the V4L2 device stays with MediaMTX), fits the curve
+// around the best sample and parks the lens there. Laplacian variance peaks at
+// focus; star HFR has its minimum there.
+class Autofocus {
+  constructor(capture, { controller, focus }) {
+    this.capture = capture;
+    this.controller = controller;
+    // Focus assist supplies the metrics so both agree on what "sharp" means
+    this.focus = focus;
+    this.reader = null;
+    this.cancelled = false;
+    this.waiter = null;
+    this.status = { state: 'idle' };
+  }
+
+  get running() {
+    return this.status.state === 'running';
+  }
+
+  async start({ start, end, steps = DEFAULT_STEPS, metric = 'laplacian', frames = DEFAULT_FRAMES, settle = DEFAULT_SETTLE_MS, roi } = {}) {
+    if (this.running) {
+      throw new Error('Autofocus already running');
+    }
+    if (!['laplacian', 'hfr'].includes(metric)) {
+      throw new Error('metric must be "laplacian" or "hfr"');
+    }
+
+    const controls = await this.controller.getControls();
+    const control = controls[FOCUS_CONTROL];
+    if (!control) {
+      throw new Error('Camera has no focus_absolute control');
+    }
+
+    const min = control.min;
+    const max = control.max;
+    const from = start === undefined ? min : parseInt(start);
+    const to = end === undefined ? max : parseInt(end);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < min || to > max || from >= to) {
+      throw new Error(`start and end must satisfy ${min} <= start < end <= ${max}`);
+    }
+    const count = parseInt(steps);
+    if (!Number.isInteger(count) || count < 3 || count > MAX_STEPS) {
+      throw new Error(`steps must be between 3 and ${MAX_STEPS}`);
+    }
+
+    const streamReady = await this.capture.checkStreamHealth();
+    if (!streamReady) {
+      throw new Error('Stream not ready - MediaMTX may be starting up');
+    }
+
+    const params = {
+      start: from,
+      end: to,
+      steps: count,
+      metric,
+      frames: Math.min(Math.max(parseInt(frames) || DEFAULT_FRAMES, 1), 10),
+      settle: Math.min(Math.max(parseInt(settle) || DEFAULT_SETTLE_MS, 100), 10000),
+      roi: roi ? this.focus.validateRoi(roi) : this.focus.options.roi
+    };
+    const controlStep = control.step || 1;
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+      const position = Math.round((from + (to - from) * i / (count - 1)) / controlStep) * controlStep;
+      if (!positions.includes(position)) positions.push(position);
+    }
+
+    this.cancelled = false;
+    this.status = {
+      state: 'running',
+      params,
+      original: control.value,
+      positions,
+      points: [],
+      fit: null,
+      best: null,
+      startedAt: new Date().toISOString()
+    };
+
+    this.capture.notify('autofocusStarted', this.getStatus());
+    this.run(controlStep).catch((err) => {
+      console.error('Autofocus failed:', err.message);
+    });
+
+    return { success: true, ...this.getStatus() };
+  }
+
+  cancel() {
+    if (!this.running) {
+      throw new Error('Autofocus not running');
+    }
+    this.cancelled = true;
+    if (this.waiter) {
+      this.waiter.reject(new Error('Autofocus cancelled'));
+    }
+    return { success: true, state: 'cancelling' };
+  }
+
+  async run(controlStep) {
+    const { params, positions, original } = this.status;
+
+    try {
+      this.openReader(params.roi);
+
+      for (const position of positions) {
+        if (this.cancelled) throw new Error('Autofocus cancelled');
+
+        await this.moveTo(position);
+        const value = await this.measure(Date.now() + params.settle, params);
+        if (this.cancelled) throw new Error('Autofocus cancelled');
+
+        this.status.points.push({ position, value });
+        this.capture.notify('autofocusProgress', {
+          step: this.status.points.length,
+          total: positions.length,
+          position,
+          value,
+          points: this.status.points
+        });
+      }
+
+      const { best, fit, edge } = this.fitCurve(this.status.points, params.metric, controlStep);
+      if (best === null) {
+        throw new Error(params.metric === 'hfr' ? 'No stars found in the region' : 'No usable frames');
+      }
+
+      // Approach the best position from the same side as the sweep, so gear backlash
+      // leaves the lens where it was measured
+      await this.moveTo(params.start);
+      await this.moveTo(best);
+
+      this.status = { ...this.status, state: 'complete', best, fit, edge, finishedAt: new Date().toISOString() };
+      this.capture.notify('autofocusComplete', this.getStatus());
+    } catch (err) {
+      const cancelled = this.cancelled;
+      // Leave the lens where the user had it
+      if (original !== undefined) {
+        await this.moveTo(original).catch(() => {});
+      }
+      this.status = {
+        ...this.status,
+        state: cancelled ? 'cancelled' : 'failed',
+        error: cancelled ? null : err.message,
+        finishedAt: new Date().toISOString()
+      };
+      this.capture.notify(cancelled ? 'autofocusCancelled' : 'autofocusFailed', this.getStatus());
+      if (!cancelled) throw err;
+    } finally {
+      this.closeReader();
+    }
+  }
+
+  async moveTo(position) {
+    await this.controller.setControl(FOCUS_CONTROL, position);
+    this.capture.notify('controlChanged', { control: FOCUS_CONTROL, value: position });
+  }
+
+  openReader(roi) {
+    const { x, y, width, height } = roi;
+    this.reader = new FrameReader(this.capture.rtspUrl, {
+      fps: READER_FPS,
+      pixelFormat: 'gray',
+      filter: `crop=iw*${width}:ih*${height}:iw*${x}:ih*${y}`
+    });
+    this.reader.on('frame', (frame) => {
+      const waiter = this.waiter;
+      if (!waiter || frame.timestamp < waiter.after) return;
+      waiter.frames.push(frame);
+      if (waiter.frames.length >= waiter.count) {
+        waiter.resolve(waiter.frames);
+      }
+    });
+    this.reader.on('error', (err) => {
+      console.error('Autofocus reader error:', err.message);
+    });
+    this.reader.on('close', ({ stderr }) => {
+      this.reader = null;
+      if (this.waiter) {
+        this.waiter.reject(new Error(`Stream closed: ${stderr.slice(-200)}`));
+      }
+    });
+    this.reader.start();
+  }
+
+  closeReader() {
+    if (this.reader) {
+      this.reader.stop();
+    }
+  }
+
+  // Wait for frames that arrived after the lens settled
+  nextFrames(count, after) {
+    if (!this.reader) {
+      return Promise.reject(new Error('Stream closed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        done();
+        reject(new Error('Timed out waiting for frames'));
+      }, FRAME_TIMEOUT_MS + (after - Date.now()));
+      const done = () => {
+        clearTimeout(timer);
+        this.waiter = null;
+      };
+      this.waiter = {
+        count,
+        after,
+        frames: [],
+        resolve: (frames) => { done(); resolve(frames); },
+        reject: (err) => { done(); reject(err); }
+      };
+    });
+  }
+
+  // Mean metric over the step's frames; null when HFR found no stars
+  async measure(after, { frames, metric }) {
+    const values = (await this.nextFrames(frames, after))
+      .map(frame => this.metricFor(frame, metric))
+      .filter(value => value !== null);
+    if (values.length === 0) return null;
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 1000) / 1000;
+  }
+
+  metricFor(frame, metric) {
+    if (metric === 'laplacian') {
+      return this.focus.laplacianVariance(frame);
+    }
+    const hfrs = this.focus.findStars(frame, this.focus.background(frame)).map(star => star.hfr).sort((a, b) => a - b);
+    return hfrs.length ? hfrs[Math.floor(hfrs.length / 2)] : null;
+  }
+
+  // Least-squares parabola through the points around the best sample; its vertex is
+  // the focus position. Falls back to the best sample when the fit opens the wrong way.
+  fitCurve(points, metric, controlStep) {
+    const usable = points.filter(point => point.value !== null);
+    if (usable.length === 0) {
+      return { best: null, fit: null, edge: false };
+    }
+
+    const better = metric === 'hfr' ? (a, b) => a < b : (a, b) => a > b;
+    let bestIndex = 0;
+    usable.forEach((point, i) => {
+      if (better(point.value, usable[bestIndex].value)) bestIndex = i;
+    });
+    const edge = bestIndex === 0 || bestIndex === usable.length - 1;
+    const bestSample = usable[bestIndex].position;
+
+    const window = usable.slice(Math.max(0, bestIndex - FIT_HALF_WIDTH), bestIndex + FIT_HALF_WIDTH + 1);
+    const fit = window.length >= 3 ? this.fitParabola(window) : null;
+    const opensCorrectly = fit && (metric === 'hfr' ? fit.a > 0 : fit.a < 0);
+
+    let best = bestSample;
+    if (opensCorrectly && !edge) {
+      const vertex = -fit.b / (2 * fit.a);
+      const low = window[0].position;
+      const high = window[window.length - 1].position;
+      if (vertex >= low && vertex <= high) {
+        best = Math.round(vertex / controlStep) * controlStep;
+      }
+    }
+
+    return { best, fit: opensCorrectly ? fit : null, edge };
+  }
+
+  // Fit value = a*p^2 + b*p + c; positions are centred first to keep the sums well conditioned
+  fitParabola(points) {
+    const centre = points.reduce((sum, p) => sum + p.position, 0) / points.length;
+    let s0 = 0; let s1 = 0; let s2 = 0; let s3 = 0; let s4 = 0;
+    let t0 = 0; let t1 = 0; let t2 = 0;
+    for (const { position, value } of points) {
+      const x = position - centre;
+      s0 += 1; s1 += x; s2 += x * x; s3 += x * x * x; s4 += x * x * x * x;
+      t0 += value; t1 += x * value; t2 += x * x * value;
+    }
+
+    // Solve the 3x3 normal equations by Cramer's rule
+    const det3 = (m) => m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+      m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+      m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+    const matrix = [[s4, s3, s2], [s3, s2, s1], [s2, s1, s0]];
+    const det = det3(matrix);
+    if (Math.abs(det) < 1e-12) return null;
+
+    const column = (i) => matrix.map((row, r) => row.map((v, c) => (c === i ? [t2, t1, t0][r] : v)));
+    const A = det3(column(0)) / det;
+    const B = det3(column(1)) / det;
+    const C = det3(column(2)) / det;
+
+    // Back to uncentred positions
+    return {
+      a: A,
+      b: B - 2 * A * centre,
+      c: A * centre * centre - B * centre + C
+    };
+  }
+
+  getStatus() {
+    return this.status;
+  }
+}
+
+module.exports = Autofocus;
@@ -0,0 +1,251 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const path = require('path');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const FrameReader = require('./frameReader');
+
+const execFileAsync = promisify(execFile);
+
+const CALIBRATION_DIR = path.join(__dirname, '../../captures/calibration');
+const TYPES = ['dark', 'flat'];
+const DEFAULT_FRAMES = 32;
+const MAX_FRAMES = 256;
+
+// Master dark/flat frames for one camera. Each master is the average of a burst
+// from the stream, tagged with the exposure, gain and stream mode it was shot at;
+// captures look up a matching master and subtract/divide it in their ffmpeg graph.
+class CalibrationLibrary {
+  constructor(capture, { controller = null, getStreamMode = () => 'normal' } = {}) {
+    this.capture = capture;
+    this.controller = controller;
+    this.getStreamMode = getStreamMode;
+    this.dir = path.join(CALIBRATION_DIR, capture.cameraId);
+    this.indexFile = path.join(this.dir, 'index.json');
+    this.sets = [];
+    this.settings = { applyDark: true, applyFlat: true };
+    this.busy = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+      this.sets = Array.isArray(data.sets) ? data.sets : [];
+      this.settings = { ...this.settings, ...data.settings };
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Failed to load calibration index for ${this.capture.cameraId}:`, err.message);
+      }
+    }
+  }
+
+  async save() {
+    await fsPromises.mkdir(this.dir, { recursive: true });
+    const tmpFile = `${this.indexFile}.tmp`;
+    await fsPromises.writeFile(tmpFile, JSON.stringify({ sets: this.sets, settings: this.settings }, null, 2));
+    await fsPromises.rename(tmpFile, this.indexFile);
+  }
+
+  // Exposure/gain the camera is running at right now, plus the stream mode (frame size)
+  async getTags() {
+    let controls = {};
+    if (this.controller) {
+      try {
+        controls = await this.controller.getControls();
+      } catch (err) {
+        console.error('Could not read controls for calibration tags:', err.message);
+      }
+    }
+
+    return {
+      exposure: controls.exposure_time_absolute ? controls.exposure_time_absolute.value : null,
+      gain: controls.gain ? controls.gain.value : null,
+      autoExposure: controls.auto_exposure ? controls.auto_exposure.value !== 1 : false,
+      mode: this.getStreamMode()
+    };
+  }
+
+  async captureMaster(type, { frames = DEFAULT_FRAMES } = {}) {
+    if (!TYPES.includes(type)) {
+      throw new Error('type must be "dark" or "flat"');
+    }
+    frames = parseInt(frames, 10) || DEFAULT_FRAMES;
+    if (frames < 2 || frames > MAX_FRAMES) {
+      throw new Error(`frames must be between 2 and ${MAX_FRAMES}`);
+    }
+    if (this.busy) {
+      throw new Error(`Already capturing a ${this.busy} master`);
+    }
+
+    this.busy = type;
+    try {
+      const tags = await this.getTags();
+      // A dark only matches one exposure, which auto exposure keeps changing
+      if (type === 'dark' && tags.autoExposure) {
+        throw new Error('Switch to manual exposure before capturing darks');
+      }
+
+      const streamReady = await this.capture.checkStreamHealth();
+      if (!streamReady) {
+        throw new Error('Stream not ready - MediaMTX may be starting up');
+      }
+
+      const id = `${type}_${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}`;
+      const filename = `${id}.png`;
+      const filepath = path.join(this.dir, filename);
+      await fsPromises.mkdir(this.dir, { recursive: true });
+
+      this.capture.notify('calibrationStarted', { type, frames, ...tags });
+
+      // tmix averages the last N frames; keep only the output once the window is full
+      try {
+        await execFileAsync('ffmpeg', [
+          '-y',
+          '-rtsp_transport', 'tcp',
+          '-timeout', '6000000',
+          '-i', this.capture.rtspUrl,
+          '-an',
+          '-vf', `tmix=frames=${frames},select='gte(n,${frames - 1})',format=rgb24`,
+          '-frames:v', '1',
+          filepath
+        ], { timeout: 20000 + frames * 2000 });
+      } catch (error) {
+        await fsPromises.unlink(filepath).catch(() => {});
+        const errorOutput = error.stderr || error.message;
+        throw new Error(`Calibration capture failed: ${errorOutput.slice(-200)}`);
+      }
+
+      const master = await FrameReader.decode(filepath);
+      const set = {
+        id,
+        type,
+        filename,
+        exposure: tags.exposure,
+        gain: tags.gain,
+        mode: tags.mode,
+        width: master.width,
+        height: master.height,
+        frames,
+        mean: this.channelMeans(master),
+        created: new Date().toISOString()
+      };
+
+      this.sets.push(set);
+      await this.save();
+
+      console.log(`Calibration ${id} captured for ${this.capture.cameraId} (${frames} frames)`);
+      this.capture.notify('calibrationComplete', set);
+      return { success: true, ...set };
+    } catch (error) {
+      this.capture.notify('calibrationFailed', { type, error: error.message });
+      throw error;
+    } finally {
+      this.busy = null;
+    }
+  }
+
+  // Per-channel mean [r, g, b]; flats are normalised by it so they keep colour balance
+  channelMeans(frame) {
+    const sums = [0, 0, 0];
+    const pixels = frame.width * frame.height;
+    for (let i = 0; i < pixels * 3; i += 3) {
+      sums[0] += frame.data[i];
+      sums[1] += frame.data[i + 1];
+      sums[2] += frame.data[i + 2];
+    }
+    return sums.map(sum => Math.round((sum / pixels) * 100) / 100);
+  }
+
+  list() {
+    return {
+      sets: [...this.sets].sort((a, b) => new Date(b.created) - new Date(a.created)),
+      settings: this.settings,
+      busy: this.busy
+    };
+  }
+
+  async remove(id) {
+    const set = this.sets.find(s => s.id === id);
+    if (!set) {
+      throw new Error(`Calibration set "${id}" not found`);
+    }
+
+    this.sets = this.sets.filter(s => s.id !== id);
+    await this.save();
+    await fsPromises.unlink(path.join(this.dir, set.filename)).catch(() => {});
+    return { success: true, id };
+  }
+
+  async updateSettings({ applyDark, applyFlat } = {}) {
+    if (applyDark !== undefined) this.settings.applyDark = applyDark === true;
+    if (applyFlat !== undefined) this.settings.applyFlat = applyFlat === true;
+    await this.save();
+    return { success: true, settings: this.settings };
+  }
+
+  // Newest dark at the same exposure/gain/mode, and newest flat at the same mode
+  async findMasters() {
+    const wantDark = this.settings.applyDark && this.sets.some(s => s.type === 'dark');
+    const wantFlat = this.settings.applyFlat && this.sets.some(s => s.type === 'flat');
+    if (!wantDark && !wantFlat) {
+      return { dark: null, flat: null };
+    }
+
+    const tags = await this.getTags();
+    const newest = (a, b) => new Date(b.created) - new Date(a.created);
+    const dark = wantDark && !tags.autoExposure
+      ? this.sets
+        .filter(s => s.type === 'dark' && s.mode === tags.mode && s.exposure === tags.exposure && s.gain === tags.gain)
+        .sort(newest)[0] || null
+      : null;
+    const flat = wantFlat
+      ? this.sets.filter(s => s.type === 'flat' && s.mode === tags.mode).sort(newest)[0] || null
+      : null;
+
+    return { dark, flat };
+  }
+
+  // Extra ffmpeg inputs and a filter graph ending in [out] that calibrate input 0.
+  // firstInput is the index the master inputs will get on the command line;
+  // preFilter runs on the stream before calibration (e.g. an fps decimator).
+  async getFilterArgs({ firstInput = 1, preFilter = null } = {}) {
+    const { dark, flat } = await this.findMasters();
+    if (!dark && !flat) {
+      return null;
+    }
+
+    const inputs = [];
+    const chains = [`[0:v]${preFilter ? `${preFilter},` : ''}format=gbrp[raw]`];
+    let last = 'raw';
+
+    if (dark) {
+      inputs.push('-i', path.join(this.dir, dark.filename));
+      chains.push(`[${firstInput}:v]format=gbrp[dark]`, `[${last}][dark]blend=all_mode=subtract[darksub]`);
+      last = 'darksub';
+    }
+
+    if (flat) {
+      const index = firstInput + inputs.length / 2;
+      inputs.push('-i', path.join(this.dir, flat.filename));
+      // gbrp planes are ordered G, B, R
+      const [r, g, b] = flat.mean;
+      const expr = mean => `'clip(A*${mean}/max(B,1),0,255)'`;
+      chains.push(
+        `[${index}:v]format=gbrp[flat]`,
+        `[${last}][flat]blend=c0_expr=${expr(g)}:c1_expr=${expr(b)}:c2_expr=${expr(r)}[flatdiv]`
+      );
+      last = 'flatdiv';
+    }
+
+    chains[chains.length - 1] = chains[chains.length - 1].replace(/\[\w+\]$/, '[out]');
+
+    return {
+      inputs,
+      filter: chains.join(';'),
+      applied: { dark: dark ? dark.id : null, flat: flat ? flat.id : null }
+    };
+  }
+}
+
+module.exports = CalibrationLibrary;
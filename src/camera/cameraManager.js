@@ -0,0 +1,158 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const V4L2Controller = require('./v4l2Controller');
+const CaptureService = require('./captureService');
+const Intervalometer = require('./intervalometer');
+const LiveStacker = require('./liveStacker');
+const CaptureArchive = require('./captureArchive');
+const ExposureMonitor = require('./exposureMonitor');
+const FocusAssistant = require('./focusAssistant');
+const Autofocus = require('./autofocus');
+const AutoExposure = require('./autoExposure');
+
+const execAsync = promisify(exec);
+
+const DEFAULT_DEVICE = '/dev/video0';
+// The first camera keeps the original path so existing stream URLs keep working
+const PRIMARY_PATH = 'telescope';
+
+class CameraManager {
+  constructor({
+    notify = () => {},
+    getStreamMode = () => 'normal',
+    getSession = async () => null,
+    fileInSession = async () => {},
+    unfileFromSession = async () => {}
+  } = {}) {
+    this.notify = notify;
+    // Active observing session, recorded in every capture's metadata
+    this.getSession = getSession;
+    // Session -> captures index kept by the session store
+    this.fileInSession = fileInSession;
+    this.unfileFromSession = unfileFromSession;
+    // Supplied by the stream service; calibration masters are only valid for one frame size
+    this.getStreamMode = getStreamMode;
+    this.cameras = new Map();
+    this.setCameras([{ name: 'Camera', device: DEFAULT_DEVICE }]);
+  }
+
+  // Parse `v4l2-ctl --list-devices` output:
+  //   USB Camera: USB Camera (usb-3f980000.usb-1.2):
+  //   	/dev/video0
+  //   	/dev/video1
+  parseDeviceList(stdout) {
+    const groups = [];
+    let current = null;
+
+    for (const line of stdout.split('\n')) {
+      if (!line.trim()) {
+        current = null;
+        continue;
+      }
+
+      if (!/^\s/.test(line)) {
+        const match = line.match(/^(.*?)\s*\(([^)]+)\):\s*$/);
+        current = {
+          name: (match ? match[1] : line.replace(/:\s*$/, '')).replace(/:.*$/, '').trim(),
+          bus: match ? match[2] : '',
+          nodes: []
+        };
+        groups.push(current);
+      } else if (current) {
+        current.nodes.push(line.trim());
+      }
+    }
+
+    return groups;
+  }
+
+  async discover() {
+    let groups;
+    try {
+      const { stdout } = await execAsync('v4l2-ctl --list-devices', { timeout: 5000 });
+      groups = this.parseDeviceList(stdout);
+    } catch (err) {
+      // v4l2-ctl exits non-zero when some nodes can't be opened but still prints the rest
+      groups = err.stdout ? this.parseDeviceList(err.stdout) : [];
+      if (groups.length === 0) {
+        console.error('Camera discovery failed:', err.message);
+      }
+    }
+
+    // Skip SoC codec/ISP nodes; the first video node of a UVC camera is its capture node
+    const found = groups
+      .filter(group => !group.bus.startsWith('platform:'))
+      .map(group => ({
+        name: group.name,
+        device: group.nodes.find(node => /^\/dev\/video\d+$/.test(node))
+      }))
+      .filter(camera => camera.device);
+
+    if (found.length === 0) {
+      console.log(`No cameras discovered, falling back to ${DEFAULT_DEVICE}`);
+      return this.list();
+    }
+
+    this.setCameras(found);
+    console.log(`Discovered ${found.length} camera(s):`,
+      this.list().map(c => `${c.id}=${c.device}`).join(', '));
+    return this.list();
+  }
+
+  setCameras(found) {
+    this.cameras.clear();
+    found.forEach(({ name, device }, index) => {
+      const id = `cam${index}`;
+      const rtspPath = index === 0 ? PRIMARY_PATH : `${PRIMARY_PATH}_${id}`;
+      const controller = new V4L2Controller(device);
+      const capture = new CaptureService({
+        cameraId: id,
+        cameraName: name,
+        rtspPath,
+        primary: index === 0,
+        notify: this.notify,
+        controller,
+        getStreamMode: () => this.getStreamMode(this.cameras.get(id)),
+        getSession: this.getSession,
+        fileInSession: this.fileInSession,
+        unfileFromSession: this.unfileFromSession
+      });
+      const focus = new FocusAssistant(capture);
+      this.cameras.set(id, {
+        id,
+        name,
+        device,
+        path: rtspPath,
+        primary: index === 0,
+        controller,
+        capture,
+        intervalometer: new Intervalometer(capture),
+        stacker: new LiveStacker(capture),
+        archive: new CaptureArchive(capture),
+        exposure: new ExposureMonitor(capture),
+        focus,
+        autofocus: new Autofocus(capture, { controller, focus }),
+        autoExposure: new AutoExposure(capture, { controller })
+      });
+    });
+  }
+
+  get(id) {
+    return this.cameras.get(id) || null;
+  }
+
+  getDefault() {
+    return this.cameras.values().next().value;
+  }
+
+  all() {
+    return Array.from(this.cameras.values());
+  }
+
+  // Plain descriptors, safe to send to clients
+  list() {
+    return this.all().map(({ id, name, device, path, primary }) => ({ id, name, device, path, primary }));
+  }
+}
+
+module.exports = CameraManager;
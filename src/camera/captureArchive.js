@@ -0,0 +1,121 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+const CAPTURES_DIR = path.join(__dirname, '../../captures');
+// Prepared selections stay downloadable this long (re-downloads after a dropped connection)
+const ARCHIVE_TTL_MS = 10 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Bulk export of captures as a ZIP. Selections are resolved up front and handed out
+// as a short-lived id so the browser can download with a plain link; the archive is
+// streamed from `zip` without being written to the SD card first.
+class CaptureArchive {
+  constructor(capture) {
+    this.capture = capture;
+    this.archives = new Map();
+  }
+
+  parseDate(value, endOfDay) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+    // A plain date as the upper bound means "through the end of that day"
+    if (endOfDay && DATE_ONLY.test(value)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date;
+  }
+
+  // Resolve { filenames } / { session } / { from, to } (combinable) to capture filenames
+  async select({ filenames, session, from, to } = {}) {
+    if (!filenames && !session && !from && !to) {
+      throw new Error('filenames, session or a date range required');
+    }
+    if (filenames !== undefined && !Array.isArray(filenames)) {
+      throw new Error('filenames must be an array');
+    }
+
+    const fromDate = this.parseDate(from, false);
+    const toDate = this.parseDate(to, true);
+
+    const { photos, videos, sequences } = await this.capture.listCaptures();
+    return [...photos, ...videos, ...sequences]
+      .filter((item) => {
+        if (filenames && !filenames.includes(item.filename)) return false;
+        if (session && !(item.metadata && item.metadata.session && item.metadata.session.id === session)) return false;
+        const taken = new Date((item.metadata && item.metadata.timestamp) || item.created);
+        if (fromDate && taken < fromDate) return false;
+        if (toDate && taken >= toDate) return false;
+        return true;
+      })
+      .map(item => item.filename);
+  }
+
+  async prepare(selection = {}) {
+    const filenames = await this.select(selection);
+    if (filenames.length === 0) {
+      throw new Error('No captures match the selection');
+    }
+
+    this.prune();
+    const id = crypto.randomBytes(8).toString('hex');
+    const name = selection.session || (selection.from || selection.to
+      ? `${selection.from || 'start'}_to_${selection.to || 'now'}`
+      : `selection_${new Date().toISOString().slice(0, 10)}`);
+
+    this.archives.set(id, {
+      filenames,
+      name: `captures_${name.replace(/[^\w.-]+/g, '-')}.zip`,
+      expires: Date.now() + ARCHIVE_TTL_MS
+    });
+
+    return { success: true, id, name: this.archives.get(id).name, count: filenames.length };
+  }
+
+  get(id) {
+    this.prune();
+    return this.archives.get(id) || null;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [id, archive] of this.archives) {
+      if (archive.expires < now) {
+        this.archives.delete(id);
+      }
+    }
+  }
+
+  // Spawn zip writing the archive to stdout. Entries keep the photos/, videos/,
+  // sequences/ layout and include metadata sidecars. Stored, not deflated:
+  // JPEG/MP4 don't shrink and the Pi's CPU is better spent elsewhere.
+  stream(archive) {
+    const entries = [];
+    for (const filename of archive.filenames) {
+      const filepath = this.capture.getFilePath(filename);
+      if (!filepath || !fs.existsSync(filepath)) continue;
+      entries.push(path.relative(CAPTURES_DIR, filepath));
+
+      const sidecar = this.capture.getMetadataPath(filepath);
+      if (fs.existsSync(sidecar)) {
+        entries.push(path.relative(CAPTURES_DIR, sidecar));
+      }
+    }
+
+    const zip = spawn('zip', ['-0', '-q', '-r', '-', '-@'], {
+      cwd: CAPTURES_DIR,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    zip.stdin.on('error', () => {
+      // zip exited early; its exit code reports the failure
+    });
+    zip.stdin.end(entries.join('\n') + '\n');
+    return zip;
+  }
+}
+
+module.exports = CaptureArchive;
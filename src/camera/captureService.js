@@ -1,37 +1,95 @@
-const { spawn, exec } = require('child_process');
+const { spawn, exec, execFile } = require('child_process');
 const { promisify } = require('util');
 const path = require('path');
 const fs = require('fs');
 const fsPromises = fs.promises;
 const http = require('http');
+const CalibrationLibrary = require('./calibrationLibrary');
+const FitsWriter = require('./fitsWriter');
+const ThumbnailService = require('./thumbnailService');
+const HttpError = require('../httpError');
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 const CAPTURES_DIR = path.join(__dirname, '../../captures');
 const PHOTOS_DIR = path.join(CAPTURES_DIR, 'photos');
 const VIDEOS_DIR = path.join(CAPTURES_DIR, 'videos');
-const RTSP_URL = 'rtsp://localhost:8554/telescope';
+const SEQUENCES_DIR = path.join(CAPTURES_DIR, 'sequences');
+const RTSP_BASE = 'rtsp://localhost:8554';
 const MEDIAMTX_API = 'http://127.0.0.1:9997/v3/paths/list';
 const MIN_DISK_SPACE_MB = 500;
+const MAX_SEQUENCE_FRAMES = 10000;
+const SEQUENCE_FRAME_PATTERN = /^frame_\d{5}\.jpg$/;
+// Frame folders: burst sequences and intervalometer (timelapse) runs
+const FRAME_FOLDER_PATTERN = /^(sequence|timelapse)_/;
+// Photo output formats. The stream and the dark/flat calibration are both 8-bit, so the
+// 16-bit formats add no precision; they are for processing tools that expect 16-bit or FITS input.
+const PHOTO_FORMATS = {
+  jpg: { label: 'JPEG', extension: 'jpg', args: ['-q:v', '2'] },
+  png: { label: 'PNG', extension: 'png', args: ['-pix_fmt', 'rgb24'] },
+  tiff: { label: 'TIFF (16-bit)', extension: 'tif', args: ['-pix_fmt', 'rgb48le'] },
+  // Written by FitsWriter from raw samples so the astronomy headers can be added
+  fits: { label: 'FITS (16-bit)', extension: 'fits', raw: 'rgb48le' }
+};
+const PHOTO_EXTENSIONS = Object.values(PHOTO_FORMATS).map(f => `.${f.extension}`);
+// exposure_time_absolute is in units of 100 µs
+const EXPOSURE_UNITS_PER_SEC = 10000;
+const MAX_TARGET_LENGTH = 100;
+const MAX_NOTES_LENGTH = 2000;
 
 class CaptureService {
-  constructor() {
+  constructor({
+    cameraId = 'cam0',
+    cameraName = 'Camera',
+    rtspPath = 'telescope',
+    primary = true,
+    notify = () => {},
+    controller = null,
+    getStreamMode = () => 'normal',
+    getSession = async () => null,
+    fileInSession = async () => {},
+    unfileFromSession = async () => {}
+  } = {}) {
+    this.cameraId = cameraId;
+    this.cameraName = cameraName;
+    this.rtspPath = rtspPath;
+    this.rtspUrl = `${RTSP_BASE}/${rtspPath}`;
+    // Files from secondary cameras carry the camera id so the shared folders stay unambiguous
+    this.filenameTag = primary ? '' : `_${cameraId}`;
     this.recordingProcess = null;
     this.isRecording = false;
     this.currentVideoFile = null;
     this.recordingStartTime = null;
+    this.sequence = null;
+    this.activeFolders = [];
+    // Pushes progress of long-running jobs to clients (WebSocket broadcast)
+    this.notify = (type, data) => notify(type, { camera: this.cameraId, ...data });
+    // Camera settings recorded in each capture's metadata sidecar
+    this.controller = controller;
+    this.getStreamMode = getStreamMode;
+    this.getSession = getSession;
+    // Session -> captures index, so sessions list without reading every sidecar
+    this.fileInSession = fileInSession;
+    this.unfileFromSession = unfileFromSession;
+    // Master darks/flats, tagged with the controller's exposure/gain
+    this.calibration = new CalibrationLibrary(this, { controller, getStreamMode });
+    // Gallery previews, so clients never pull full-size files just to browse; all cameras share one ffmpeg queue
+    this.thumbnails = new ThumbnailService(this);
   }
 
   async initialize() {
     await fsPromises.mkdir(PHOTOS_DIR, { recursive: true });
     await fsPromises.mkdir(VIDEOS_DIR, { recursive: true });
+    await fsPromises.mkdir(SEQUENCES_DIR, { recursive: true });
     console.log('CaptureService initialized - directories ready');
   }
 
   generateFilename(type, extension) {
     const now = new Date();
     const timestamp = now.toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    return `${type}_${timestamp}.${extension}`;
+    const name = `${type}_${timestamp}${this.filenameTag}`;
+    return extension ? `${name}.${extension}` : name;
   }
 
   async checkStreamHealth(retries = 3, delayMs = 1000) {
@@ -44,8 +102,8 @@ class CaptureService {
             res.on('end', () => {
               try {
                 const json = JSON.parse(data);
-                const telescopePath = json.items?.find(p => p.name === 'telescope');
-                if (telescopePath && telescopePath.ready) {
+                const streamPath = json.items?.find(p => p.name === this.rtspPath);
+                if (streamPath && streamPath.ready) {
                   resolve(true);
                 } else {
                   resolve(false);
@@ -92,8 +150,16 @@ class CaptureService {
     }
   }
 
-  async capturePhoto() {
-    const filename = this.generateFilename('photo', 'jpg');
+  getPhotoFormats() {
+    return Object.entries(PHOTO_FORMATS).map(([id, { label, extension }]) => ({ id, label, extension }));
+  }
+
+  async capturePhoto({ format = 'jpg', target, notes } = {}) {
+    if (!PHOTO_FORMATS[format]) {
+      throw new Error(`Unknown photo format "${format}"`);
+    }
+
+    const filename = this.generateFilename('photo', PHOTO_FORMATS[format].extension);
     const filepath = path.join(PHOTOS_DIR, filename);
 
     const streamReady = await this.checkStreamHealth();
@@ -101,23 +167,165 @@ class CaptureService {
       throw new Error('Stream not ready - MediaMTX may be starting up');
     }
 
+    const metadata = await this.collectMetadata('photo', { target, notes, format });
+    const { stats, calibration } = await this.grabFrame(filepath, format);
+    await this.writeMetadata(filepath, { ...metadata, calibration });
+    this.thumbnails.schedule(filename);
+
+    return {
+      success: true,
+      filename,
+      format,
+      path: filepath,
+      size: stats.size,
+      calibration,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Trimmed free text, or null when empty
+  cleanText(value, maxLength) {
+    if (typeof value !== 'string' || !value.trim()) {
+      return null;
+    }
+    return value.trim().slice(0, maxLength);
+  }
+
+  // Snapshot of the settings a capture is taken with; stored as a JSON sidecar
+  async collectMetadata(type, { target, notes, ...details } = {}) {
+    let controls = null;
+    if (this.controller) {
+      try {
+        const all = await this.controller.getControls();
+        controls = Object.fromEntries(Object.entries(all).map(([name, control]) => [name, control.value]));
+      } catch (err) {
+        console.error('Could not read controls for capture metadata:', err.message);
+      }
+    }
+
+    let session = null;
     try {
-      const { stderr } = await execAsync(
-        `ffmpeg -y -rtsp_transport tcp -timeout 6000000 -i "${RTSP_URL}" -frames:v 1 -update 1 -q:v 2 "${filepath}" 2>&1`,
-        { timeout: 10000 }
-      );
+      session = await this.getSession();
+    } catch (err) {
+      console.error('Could not read the active session:', err.message);
+    }
+
+    return {
+      type,
+      camera: { id: this.cameraId, name: this.cameraName },
+      timestamp: new Date().toISOString(),
+      // Captures inside a session default to its target
+      target: this.cleanText(target, MAX_TARGET_LENGTH) || (session ? session.target : null),
+      notes: this.cleanText(notes, MAX_NOTES_LENGTH),
+      session: session ? { id: session.id, target: session.target, location: session.location } : null,
+      preset: this.controller ? this.controller.activePreset : null,
+      stream: { mode: this.getStreamMode() },
+      controls,
+      ...details
+    };
+  }
+
+  // Sidecars sit next to the capture: photo_x.jpg.json, sequence_x.json
+  getMetadataPath(filepath) {
+    return `${filepath}.json`;
+  }
+
+  // A missing sidecar never fails the capture itself. Captures taken in a session are
+  // also filed in the session index, which doesn't depend on the sidecar.
+  async writeMetadata(filepath, metadata) {
+    if (metadata.session) {
+      try {
+        await this.fileInSession(metadata.session.id, path.basename(filepath));
+      } catch (err) {
+        console.error(`Failed to file ${path.basename(filepath)} in its session:`, err.message);
+      }
+    }
+    try {
+      await fsPromises.writeFile(this.getMetadataPath(filepath), JSON.stringify(metadata, null, 2));
+    } catch (err) {
+      console.error(`Failed to write metadata for ${path.basename(filepath)}:`, err.message);
+    }
+  }
+
+  // Remove a capture with its sidecar and session entry
+  async removeCaptureFiles(filepath) {
+    await fsPromises.rm(filepath, { recursive: true, force: true });
+    await fsPromises.rm(this.getMetadataPath(filepath), { force: true });
+    await this.unfileFromSession(path.basename(filepath));
+  }
+
+  async readMetadata(filepath) {
+    try {
+      return JSON.parse(await fsPromises.readFile(this.getMetadataPath(filepath), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Merge fields known only once a job finishes (duration, frame count)
+  async amendMetadata(filepath, changes) {
+    const metadata = await this.readMetadata(filepath);
+    if (metadata) {
+      await this.writeMetadata(filepath, { ...metadata, ...changes });
+    }
+  }
+
+  // Edit the target name and notes after the fact
+  async updateMetadata(filename, { target, notes } = {}) {
+    const filepath = this.getFilePath(filename);
+    if (!filepath || !fs.existsSync(filepath)) {
+      throw new Error('File not found');
+    }
+
+    const metadata = (await this.readMetadata(filepath)) || {
+      type: filename.split('_')[0],
+      camera: { id: this.getCameraId(filename) },
+      timestamp: null
+    };
+    if (target !== undefined) metadata.target = this.cleanText(target, MAX_TARGET_LENGTH);
+    if (notes !== undefined) metadata.notes = this.cleanText(notes, MAX_NOTES_LENGTH);
+
+    await fsPromises.writeFile(this.getMetadataPath(filepath), JSON.stringify(metadata, null, 2));
+    return { success: true, filename, metadata };
+  }
+
+  // Grab a single frame from the stream, calibrated when matching masters exist;
+  // shared by photos and the intervalometer
+  async grabFrame(filepath, format = 'jpg') {
+    const output = PHOTO_FORMATS[format];
+    const calibration = await this.calibration.getFilterArgs();
+    const startTime = new Date();
+    const args = ['-y', '-rtsp_transport', 'tcp', '-timeout', '6000000', '-i', this.rtspUrl];
+    if (calibration) {
+      args.push(...calibration.inputs, '-filter_complex', calibration.filter, '-map', '[out]');
+    }
+
+    try {
+      if (output.raw) {
+        args.push('-frames:v', '1', '-f', 'rawvideo', '-pix_fmt', output.raw, 'pipe:1');
+        const { stdout, stderr } = await execFileAsync('ffmpeg', args, {
+          timeout: 10000,
+          encoding: 'buffer',
+          maxBuffer: 256 * 1024 * 1024
+        });
+
+        const match = stderr.toString().match(/Output #0[\s\S]*?Video: rawvideo[^\n]*?, (\d+)x(\d+)/);
+        if (!match) {
+          throw new Error('Could not determine frame size');
+        }
+        const frame = { width: parseInt(match[1], 10), height: parseInt(match[2], 10), channels: 3, data: stdout };
+        const headers = await this.getFitsHeaders(startTime, calibration);
+        await fsPromises.writeFile(filepath, FitsWriter.encode(frame, headers));
+      } else {
+        args.push('-frames:v', '1', '-update', '1', ...output.args, filepath);
+        await execFileAsync('ffmpeg', args, { timeout: 10000 });
+      }
 
       const stats = await fsPromises.stat(filepath);
-      return {
-        success: true,
-        filename,
-        path: filepath,
-        size: stats.size,
-        timestamp: new Date().toISOString()
-      };
+      return { stats, calibration: calibration ? calibration.applied : null };
     } catch (error) {
       // Extract stderr from error if available
-      const errorOutput = error.stderr || error.stdout || error.message;
+      const errorOutput = String(error.stderr || error.message);
       console.error('Photo capture error:', errorOutput);
 
       try {
@@ -129,7 +337,21 @@ class CaptureService {
     }
   }
 
-  async startRecording() {
+  async getFitsHeaders(startTime, calibration) {
+    const { exposure, gain } = await this.calibration.getTags();
+    return [
+      ['DATE-OBS', startTime.toISOString().slice(0, 23), 'UTC start of capture'],
+      ['EXPTIME', exposure !== null ? exposure / EXPOSURE_UNITS_PER_SEC : null, '[s] exposure time'],
+      ['GAIN', gain, 'sensor gain (V4L2 units)'],
+      ['INSTRUME', this.cameraName, 'camera'],
+      ['CAMERAID', this.cameraId],
+      ['CALDARK', calibration && calibration.applied.dark, 'master dark subtracted'],
+      ['CALFLAT', calibration && calibration.applied.flat, 'master flat divided'],
+      ['CREATOR', 'telescope-camera', 'capture software']
+    ];
+  }
+
+  async startRecording({ target, notes } = {}) {
     if (this.isRecording) {
       throw new Error('Already recording');
     }
@@ -146,12 +368,17 @@ class CaptureService {
 
     const filename = this.generateFilename('video', 'mp4');
     const filepath = path.join(VIDEOS_DIR, filename);
+    const metadata = await this.collectMetadata('video', { target, notes });
+    // Sidecar first, so nothing is awaited between spawning ffmpeg and listening to it
+    await this.writeMetadata(filepath, metadata);
 
     this.recordingProcess = spawn('ffmpeg', [
       '-rtsp_transport', 'tcp',
       '-timeout', '6000000',
-      '-i', RTSP_URL,
+      '-i', this.rtspUrl,
       '-c:v', 'copy',
+      // Index up front so the browser can seek with range requests
+      '-movflags', '+faststart',
       '-f', 'mp4',
       filepath
     ], {
@@ -223,6 +450,8 @@ class CaptureService {
           try {
             const stats = await fsPromises.stat(filepath);
             if (stats.size > 0) {
+              await this.amendMetadata(filepath, { duration });
+              this.thumbnails.schedule(path.basename(filepath));
               resolve({
                 success: true,
                 filename: path.basename(filepath),
@@ -256,6 +485,221 @@ class CaptureService {
     });
   }
 
+  // Burst capture for lucky imaging: one ffmpeg reader writes numbered frames into a
+  // per-sequence folder. interval is in seconds; 0 keeps every frame the stream delivers.
+  async startSequence({ count, interval = 0, target, notes } = {}) {
+    if (this.sequence) {
+      throw new HttpError(409, 'Sequence already running');
+    }
+
+    count = parseInt(count, 10);
+    interval = parseFloat(interval) || 0;
+    if (!(count >= 1 && count <= MAX_SEQUENCE_FRAMES)) {
+      throw new HttpError(400, `count must be between 1 and ${MAX_SEQUENCE_FRAMES}`);
+    }
+    if (interval < 0) {
+      throw new HttpError(400, 'interval must not be negative');
+    }
+
+    const decimate = interval > 0 ? `fps=1/${interval}` : null;
+
+    // Hold the slot across the checks below so an overlapping burst is refused
+    const reservation = { name: null, starting: true };
+    this.sequence = reservation;
+    let name, dir, diskSpace, calibration;
+    try {
+      const streamReady = await this.checkStreamHealth();
+      if (!streamReady) {
+        throw new Error('Stream not ready - MediaMTX may be starting up');
+      }
+
+      diskSpace = await this.checkDiskSpace();
+      if (!diskSpace.sufficient) {
+        throw new Error(`Insufficient disk space: ${diskSpace.available}MB available, need ${MIN_DISK_SPACE_MB}MB`);
+      }
+
+      name = this.generateFilename('sequence');
+      reservation.name = name;
+      dir = path.join(SEQUENCES_DIR, name);
+      await fsPromises.mkdir(dir, { recursive: true });
+
+      calibration = await this.calibration.getFilterArgs({ preFilter: decimate });
+
+      await this.writeMetadata(dir, await this.collectMetadata('sequence', {
+        target,
+        notes,
+        sequence: { count, interval },
+        calibration: calibration ? calibration.applied : null
+      }));
+    } catch (err) {
+      this.sequence = null;
+      throw err;
+    }
+
+    const args = [
+      '-rtsp_transport', 'tcp',
+      '-timeout', '6000000',
+      '-i', this.rtspUrl,
+      '-nostats',
+      '-progress', 'pipe:1'
+    ];
+    if (calibration) {
+      args.push(...calibration.inputs, '-filter_complex', calibration.filter, '-map', '[out]');
+    } else if (decimate) {
+      args.push('-vf', decimate);
+    }
+    args.push('-frames:v', String(count), '-q:v', '2', '-start_number', '1', path.join(dir, 'frame_%05d.jpg'));
+
+    const ffmpeg = spawn('ffmpeg', args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    const sequence = {
+      name,
+      dir,
+      count,
+      interval,
+      calibration: calibration ? calibration.applied : null,
+      captured: 0,
+      cancelled: false,
+      startTime: Date.now(),
+      process: ffmpeg
+    };
+    this.sequence = sequence;
+
+    // -progress writes key=value blocks; frame= is the number of frames written so far
+    ffmpeg.stdout.on('data', (data) => {
+      const matches = data.toString().match(/frame=(\d+)/g);
+      if (!matches) return;
+      const captured = parseInt(matches[matches.length - 1].slice(6), 10);
+      if (captured !== sequence.captured) {
+        sequence.captured = captured;
+        this.notify('sequenceProgress', { name, captured, count });
+      }
+    });
+
+    let stderrTail = '';
+    ffmpeg.stderr.on('data', (data) => {
+      stderrTail = (stderrTail + data.toString()).slice(-500);
+    });
+
+    ffmpeg.once('error', (err) => {
+      console.error('Sequence error:', err.message);
+    });
+
+    ffmpeg.once('close', async (code) => {
+      this.sequence = null;
+
+      let frames = [];
+      try {
+        frames = (await fsPromises.readdir(dir)).filter(f => SEQUENCE_FRAME_PATTERN.test(f));
+      } catch (e) {
+        // Folder vanished
+      }
+
+      if (frames.length === 0) {
+        console.error(`Sequence ${name} failed (code ${code}):`, stderrTail);
+        try {
+          await this.removeCaptureFiles(dir);
+        } catch (err) {
+          console.error(`Failed to clean up sequence ${name}:`, err.message);
+        }
+        this.notify('sequenceFailed', { name, error: `Sequence capture failed: ${stderrTail.slice(-200)}` });
+        return;
+      }
+
+      try {
+        await this.amendMetadata(dir, { sequence: { count, interval, captured: frames.length } });
+        console.log(`Sequence ${name} finished: ${frames.length}/${count} frames`);
+        this.notify('sequenceComplete', {
+          name,
+          captured: frames.length,
+          count,
+          cancelled: sequence.cancelled
+        });
+        this.thumbnails.schedule(name);
+        this.notify('captureComplete', { type: 'sequence', filename: name });
+      } catch (err) {
+        console.error(`Sequence ${name} failed:`, err.message);
+        this.notify('sequenceFailed', { name, error: err.message });
+      }
+    });
+
+    this.notify('sequenceStarted', { name, count, interval, calibration: sequence.calibration });
+
+    return {
+      success: true,
+      name,
+      count,
+      interval,
+      calibration: sequence.calibration,
+      startTime: new Date(sequence.startTime).toISOString(),
+      diskSpaceAvailable: diskSpace.available
+    };
+  }
+
+  // Create a frame folder for a job outside this service (e.g. the intervalometer)
+  async createFrameFolder(kind) {
+    const name = this.generateFilename(kind);
+    const dir = path.join(SEQUENCES_DIR, name);
+    await fsPromises.mkdir(dir, { recursive: true });
+    this.activeFolders.push(name);
+    return { name, dir };
+  }
+
+  releaseFrameFolder(name) {
+    this.activeFolders = this.activeFolders.filter(n => n !== name);
+  }
+
+  // Reserve a gallery filename for output produced outside this service
+  getCapturePath(type, extension) {
+    const filename = this.generateFilename(type, extension);
+    return { filename, path: this.getFilePath(filename) };
+  }
+
+  cancelSequence() {
+    if (!this.sequence || this.sequence.starting) {
+      throw new Error('No sequence running');
+    }
+
+    const { process: ffmpeg, name } = this.sequence;
+    this.sequence.cancelled = true;
+
+    // 'q' lets ffmpeg finish the frame in flight; frames already written are kept
+    try {
+      if (ffmpeg.stdin && ffmpeg.stdin.writable) {
+        ffmpeg.stdin.write('q');
+        ffmpeg.stdin.end();
+      } else {
+        ffmpeg.kill('SIGTERM');
+      }
+    } catch (e) {
+      ffmpeg.kill('SIGTERM');
+    }
+
+    setTimeout(() => {
+      if (this.sequence && this.sequence.process === ffmpeg) {
+        ffmpeg.kill('SIGKILL');
+      }
+    }, 5000);
+
+    return { success: true, name };
+  }
+
+  getSequenceStatus() {
+    if (!this.sequence || this.sequence.starting) {
+      return { running: false };
+    }
+
+    const { name, count, interval, calibration, captured, startTime } = this.sequence;
+    return {
+      running: true,
+      name,
+      count,
+      interval,
+      calibration,
+      captured,
+      startTime: new Date(startTime).toISOString()
+    };
+  }
+
   getRecordingStatus() {
     if (!this.isRecording) {
       return { isRecording: false };
@@ -270,31 +714,15 @@ class CaptureService {
   }
 
   async listCaptures(type = 'all') {
-    const result = { photos: [], videos: [] };
+    const result = { photos: [], videos: [], sequences: [] };
+    const newestFirst = (a, b) => new Date(b.created) - new Date(a.created);
 
     if (type === 'all' || type === 'photos') {
       try {
-        const photos = await fsPromises.readdir(PHOTOS_DIR);
-        const photoStats = await Promise.all(
-          photos
-            .filter(f => f.endsWith('.jpg'))
-            .map(async (filename) => {
-              const filepath = path.join(PHOTOS_DIR, filename);
-              try {
-                const stats = await fsPromises.stat(filepath);
-                return {
-                  filename,
-                  size: stats.size,
-                  created: stats.birthtime.toISOString()
-                };
-              } catch (e) {
-                return null;
-              }
-            })
-        );
-        result.photos = photoStats
+        const photos = (await fsPromises.readdir(PHOTOS_DIR)).filter(f => PHOTO_EXTENSIONS.includes(path.extname(f)));
+        result.photos = (await Promise.all(photos.map(filename => this.photoItem(filename))))
           .filter(p => p !== null)
-          .sort((a, b) => new Date(b.created) - new Date(a.created));
+          .sort(newestFirst);
       } catch (err) {
         // Directory might not exist yet
       }
@@ -302,27 +730,22 @@ class CaptureService {
 
     if (type === 'all' || type === 'videos') {
       try {
-        const videos = await fsPromises.readdir(VIDEOS_DIR);
-        const videoStats = await Promise.all(
-          videos
-            .filter(f => f.endsWith('.mp4'))
-            .map(async (filename) => {
-              const filepath = path.join(VIDEOS_DIR, filename);
-              try {
-                const stats = await fsPromises.stat(filepath);
-                return {
-                  filename,
-                  size: stats.size,
-                  created: stats.birthtime.toISOString()
-                };
-              } catch (e) {
-                return null;
-              }
-            })
-        );
-        result.videos = videoStats
+        const videos = (await fsPromises.readdir(VIDEOS_DIR)).filter(f => f.endsWith('.mp4'));
+        result.videos = (await Promise.all(videos.map(filename => this.videoItem(filename))))
           .filter(v => v !== null)
-          .sort((a, b) => new Date(b.created) - new Date(a.created));
+          .sort(newestFirst);
+      } catch (err) {
+        // Directory might not exist yet
+      }
+    }
+
+    if (type === 'all' || type === 'sequences') {
+      try {
+        const entries = await fsPromises.readdir(SEQUENCES_DIR, { withFileTypes: true });
+        const names = entries.filter(e => e.isDirectory()).map(e => e.name);
+        result.sequences = (await Promise.all(names.map(name => this.sequenceItem(name))))
+          .filter(s => s !== null)
+          .sort(newestFirst);
       } catch (err) {
         // Directory might not exist yet
       }
@@ -331,15 +754,153 @@ class CaptureService {
     return result;
   }
 
+  // Gallery entry for one capture, or null when it's gone
+  async photoItem(filename) {
+    const filepath = path.join(PHOTOS_DIR, filename);
+    try {
+      const stats = await fsPromises.stat(filepath);
+      return {
+        filename,
+        format: path.extname(filename).slice(1),
+        camera: this.getCameraId(filename),
+        size: stats.size,
+        created: stats.birthtime.toISOString(),
+        metadata: await this.readMetadata(filepath)
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async videoItem(filename) {
+    const filepath = path.join(VIDEOS_DIR, filename);
+    try {
+      const stats = await fsPromises.stat(filepath);
+      return {
+        filename,
+        camera: this.getCameraId(filename),
+        size: stats.size,
+        created: stats.birthtime.toISOString(),
+        metadata: await this.readMetadata(filepath)
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async sequenceItem(name) {
+    // Folders still being written are left out until their job finishes
+    const active = [this.sequence && this.sequence.name, ...this.activeFolders];
+    if (!FRAME_FOLDER_PATTERN.test(name) || active.includes(name)) {
+      return null;
+    }
+    const dir = path.join(SEQUENCES_DIR, name);
+    try {
+      const frames = (await fsPromises.readdir(dir))
+        .filter(f => SEQUENCE_FRAME_PATTERN.test(f))
+        .sort();
+      const stats = await Promise.all(frames.map(f => fsPromises.stat(path.join(dir, f))));
+      const dirStats = await fsPromises.stat(dir);
+      return {
+        filename: name,
+        kind: name.split('_')[0],
+        camera: this.getCameraId(name),
+        frameCount: frames.length,
+        firstFrame: frames[0] || null,
+        size: stats.reduce((sum, s) => sum + s.size, 0),
+        created: dirStats.birthtime.toISOString(),
+        metadata: await this.readMetadata(dir)
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Look up a single capture by name: { type: 'photos' | 'videos' | 'sequences', item }
+  async describeCapture(filename) {
+    if (!this.getFilePath(filename)) {
+      return null;
+    }
+    if (filename.startsWith('photo_')) {
+      const item = await this.photoItem(filename);
+      return item && { type: 'photos', item };
+    }
+    if (filename.startsWith('video_')) {
+      const item = await this.videoItem(filename);
+      return item && { type: 'videos', item };
+    }
+    const item = await this.sequenceItem(filename);
+    return item && { type: 'sequences', item };
+  }
+
+  // Captures from every camera share the same folders; the tag in the name tells them apart
+  getCameraId(filename) {
+    const match = filename.match(/_(cam\d+)(\.\w+)?$/);
+    return match ? match[1] : 'cam0';
+  }
+
   getFilePath(filename) {
+    // Plain names only - never let a request walk out of the captures folders
+    if (filename !== path.basename(filename) || filename.includes('..')) {
+      return null;
+    }
+
     if (filename.startsWith('photo_')) {
       return path.join(PHOTOS_DIR, filename);
     } else if (filename.startsWith('video_')) {
       return path.join(VIDEOS_DIR, filename);
+    } else if (FRAME_FOLDER_PATTERN.test(filename)) {
+      return path.join(SEQUENCES_DIR, filename);
     }
     return null;
   }
 
+  getSequenceFramePath(name, frame) {
+    const dir = this.getFilePath(name);
+    if (!dir || !FRAME_FOLDER_PATTERN.test(name) || !SEQUENCE_FRAME_PATTERN.test(frame)) {
+      return null;
+    }
+    return path.join(dir, frame);
+  }
+
+  async listSequenceFrames(name) {
+    const dir = this.getFilePath(name);
+    if (!dir || !FRAME_FOLDER_PATTERN.test(name) || !fs.existsSync(dir)) {
+      throw new Error('Sequence not found');
+    }
+    const frames = (await fsPromises.readdir(dir)).filter(f => SEQUENCE_FRAME_PATTERN.test(f)).sort();
+    return { success: true, name, frames };
+  }
+
+  // Frame rate and size of a recording, for frame stepping in the viewer
+  async probeVideo(filename) {
+    const filepath = this.getFilePath(filename);
+    if (!filepath || !filename.endsWith('.mp4') || !fs.existsSync(filepath)) {
+      throw new Error('Video not found');
+    }
+
+    const { stdout } = await execFileAsync('ffprobe', [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-show_entries', 'stream=width,height,avg_frame_rate,nb_frames:format=duration',
+      '-of', 'json',
+      filepath
+    ], { timeout: 10000 });
+
+    const info = JSON.parse(stdout);
+    const stream = (info.streams && info.streams[0]) || {};
+    const [num, den] = String(stream.avg_frame_rate || '0/1').split('/').map(Number);
+    return {
+      success: true,
+      filename,
+      width: stream.width || null,
+      height: stream.height || null,
+      fps: num > 0 && den > 0 ? num / den : null,
+      frames: Number(stream.nb_frames) || null,
+      duration: info.format && info.format.duration ? Number(info.format.duration) : null
+    };
+  }
+
   async deleteCapture(filename) {
     const filepath = this.getFilePath(filename);
     if (!filepath) {
@@ -352,9 +913,29 @@ class CaptureService {
       throw new Error('File not found');
     }
 
-    await fsPromises.unlink(filepath);
+    if ((this.sequence && this.sequence.name === filename) || this.activeFolders.includes(filename)) {
+      throw new Error('Capture is still running');
+    }
+
+    await this.removeCaptureFiles(filepath);
+    await this.thumbnails.remove(filename);
     return { success: true, filename };
   }
+
+  // Delete several captures; one failure doesn't stop the rest
+  async deleteCaptures(filenames) {
+    const deleted = [];
+    const failed = [];
+    for (const filename of filenames) {
+      try {
+        await this.deleteCapture(filename);
+        deleted.push(filename);
+      } catch (err) {
+        failed.push({ filename, error: err.message });
+      }
+    }
+    return { success: failed.length === 0, deleted, failed };
+  }
 }
 
 module.exports = CaptureService;
@@ -0,0 +1,170 @@
+const FrameReader = require('./frameReader');
+
+const DEFAULT_INTERVAL = 1;
+// Sampled frames are subsampled (not averaged) to this width so clipped pixels stay clipped
+const SAMPLE_WIDTH = 640;
+// H.264 rarely leaves blown highlights at exactly 255
+const SATURATION_LEVEL = 250;
+const BLACK_LEVEL = 5;
+// Retry after the stream drops out (binning change, MediaMTX restart)
+const RESTART_DELAY_MS = 5000;
+
+// Exposure statistics of the live stream: samples a frame every few seconds and
+// pushes histograms, mean/max and clipped-pixel percentages to the clients
+class ExposureMonitor {
+  constructor(capture) {
+    this.capture = capture;
+    this.reader = null;
+    this.enabled = false;
+    this.restartTimer = null;
+    this.interval = DEFAULT_INTERVAL;
+    this.stats = null;
+  }
+
+  get running() {
+    return this.enabled;
+  }
+
+  async start({ interval = DEFAULT_INTERVAL } = {}) {
+    if (this.enabled) {
+      throw new Error('Exposure monitor already running');
+    }
+
+    // Claimed before the await so a second start can't open another reader
+    this.enabled = true;
+    let streamReady;
+    try {
+      streamReady = await this.capture.checkStreamHealth();
+    } catch (err) {
+      this.enabled = false;
+      throw err;
+    }
+    if (!this.enabled) {
+      throw new Error('Exposure monitor stopped while starting');
+    }
+    if (!streamReady) {
+      this.enabled = false;
+      throw new Error('Stream not ready - MediaMTX may be starting up');
+    }
+
+    this.interval = Math.min(Math.max(parseFloat(interval) || DEFAULT_INTERVAL, 0.5), 60);
+    this.stats = null;
+    this.openReader();
+
+    this.capture.notify('exposureMonitorStarted', this.getStatus());
+    return { success: true, ...this.getStatus() };
+  }
+
+  stop() {
+    if (!this.enabled) {
+      throw new Error('Exposure monitor not running');
+    }
+
+    this.enabled = false;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    if (this.reader) {
+      this.reader.stop();
+    }
+
+    this.capture.notify('exposureMonitorStopped', this.getStatus());
+    return { success: true, ...this.getStatus() };
+  }
+
+  openReader() {
+    const reader = new FrameReader(this.capture.rtspUrl, {
+      fps: 1 / this.interval,
+      pixelFormat: 'rgb24',
+      filter: `scale='min(${SAMPLE_WIDTH},iw)':-2:flags=neighbor`
+    });
+    this.reader = reader;
+
+    reader.on('frame', (frame) => {
+      this.stats = this.computeStats(frame);
+      this.capture.notify('exposureStats', this.stats);
+    });
+    reader.on('error', (err) => {
+      console.error('Exposure monitor reader error:', err.message);
+    });
+    reader.on('close', ({ code, stderr }) => {
+      this.reader = null;
+      if (!this.enabled) return;
+
+      if (code !== 0 && code !== null) {
+        console.error('Exposure monitor reader exited:', stderr.slice(-200));
+      }
+      this.restartTimer = setTimeout(() => {
+        this.restartTimer = null;
+        if (this.enabled) this.openReader();
+      }, RESTART_DELAY_MS);
+    });
+    reader.start();
+  }
+
+  computeStats(frame) {
+    const { width, height, data } = frame;
+    const pixels = width * height;
+    const histogram = {
+      lum: new Array(256).fill(0),
+      r: new Array(256).fill(0),
+      g: new Array(256).fill(0),
+      b: new Array(256).fill(0)
+    };
+    const sum = { lum: 0, r: 0, g: 0, b: 0 };
+    const max = { lum: 0, r: 0, g: 0, b: 0 };
+    let saturated = 0;
+    let black = 0;
+
+    for (let p = 0; p < data.length; p += 3) {
+      const r = data[p];
+      const g = data[p + 1];
+      const b = data[p + 2];
+      const lum = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+
+      histogram.lum[lum]++;
+      histogram.r[r]++;
+      histogram.g[g]++;
+      histogram.b[b]++;
+      sum.lum += lum;
+      sum.r += r;
+      sum.g += g;
+      sum.b += b;
+      if (lum > max.lum) max.lum = lum;
+      if (r > max.r) max.r = r;
+      if (g > max.g) max.g = g;
+      if (b > max.b) max.b = b;
+
+      // Any clipped channel loses colour information, so count the pixel
+      if (r >= SATURATION_LEVEL || g >= SATURATION_LEVEL || b >= SATURATION_LEVEL) saturated++;
+      if (lum <= BLACK_LEVEL) black++;
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+    return {
+      timestamp: new Date().toISOString(),
+      width,
+      height,
+      mean: {
+        lum: round(sum.lum / pixels),
+        r: round(sum.r / pixels),
+        g: round(sum.g / pixels),
+        b: round(sum.b / pixels)
+      },
+      max,
+      saturated: round(saturated / pixels * 100),
+      black: round(black / pixels * 100),
+      saturationLevel: SATURATION_LEVEL,
+      histogram
+    };
+  }
+
+  getStatus() {
+    return {
+      running: this.enabled,
+      interval: this.interval,
+      stats: this.stats
+    };
+  }
+}
+
+module.exports = ExposureMonitor;
@@ -0,0 +1,70 @@
+const BLOCK_SIZE = 2880;
+const CARD_SIZE = 80;
+
+// Minimal FITS writer for 16-bit image data. RGB frames become a 3-plane cube
+// (NAXIS3 = 3, planes R, G, B) which PixInsight, Siril and ASTAP all read.
+class FitsWriter {
+  // One 80-column header card
+  static card(key, value, comment) {
+    let formatted;
+    if (typeof value === 'string') {
+      formatted = `'${value.replace(/'/g, "''").padEnd(8)}'`.padEnd(20);
+    } else if (typeof value === 'boolean') {
+      formatted = (value ? 'T' : 'F').padStart(20);
+    } else {
+      formatted = String(value).padStart(20);
+    }
+
+    const line = `${key.padEnd(8).slice(0, 8)}= ${formatted}${comment ? ` / ${comment}` : ''}`;
+    return line.slice(0, CARD_SIZE).padEnd(CARD_SIZE);
+  }
+
+  static pad(buffer, fill) {
+    const remainder = buffer.length % BLOCK_SIZE;
+    return remainder === 0 ? buffer : Buffer.concat([buffer, Buffer.alloc(BLOCK_SIZE - remainder, fill)]);
+  }
+
+  // frame: { width, height, channels, data } with 16-bit little-endian samples
+  // (gray16le or rgb48le). headers: extra [key, value, comment] cards.
+  static encode(frame, headers = []) {
+    const { width, height, channels, data } = frame;
+    const cards = [
+      FitsWriter.card('SIMPLE', true, 'conforms to FITS standard'),
+      FitsWriter.card('BITPIX', 16, '16-bit integers'),
+      FitsWriter.card('NAXIS', channels === 1 ? 2 : 3),
+      FitsWriter.card('NAXIS1', width, 'image width'),
+      FitsWriter.card('NAXIS2', height, 'image height')
+    ];
+    if (channels !== 1) {
+      cards.push(FitsWriter.card('NAXIS3', channels, 'colour planes (R, G, B)'));
+    }
+    cards.push(
+      FitsWriter.card('BZERO', 32768, 'unsigned 16-bit data'),
+      FitsWriter.card('BSCALE', 1),
+      FitsWriter.card('ROWORDER', 'TOP-DOWN', 'first row is the top of the image')
+    );
+
+    for (const [key, value, comment] of headers) {
+      if (value !== null && value !== undefined) {
+        cards.push(FitsWriter.card(key, value, comment));
+      }
+    }
+    cards.push('END'.padEnd(CARD_SIZE));
+
+    const header = FitsWriter.pad(Buffer.from(cards.join(''), 'ascii'), 0x20);
+
+    // Interleaved little-endian samples -> planar big-endian, offset by BZERO
+    const pixels = width * height;
+    const body = Buffer.alloc(pixels * channels * 2);
+    for (let c = 0; c < channels; c++) {
+      for (let i = 0; i < pixels; i++) {
+        const value = data.readUInt16LE((i * channels + c) * 2);
+        body.writeInt16BE(value - 32768, (c * pixels + i) * 2);
+      }
+    }
+
+    return Buffer.concat([header, FitsWriter.pad(body, 0)]);
+  }
+}
+
+module.exports = FitsWriter;
@@ -0,0 +1,453 @@
+const FrameReader = require('./frameReader');
+
+const DEFAULT_FPS = 2;
+// Region of interest as fractions of the frame; the centre quarter by default
+const DEFAULT_ROI = { x: 0.375, y: 0.375, width: 0.25, height: 0.25 };
+const MIN_ROI_SIZE = 0.02;
+const HISTORY_LENGTH = 120;
+// Stars are local maxima this many noise sigmas over the background
+const STAR_SIGMA = 5;
+const STAR_RADIUS = 12;
+const MAX_STARS = 25;
+// Bahtinov search: window around the brightest star, angular resolution and spike separation
+const BAHTINOV_RADIUS = 120;
+const BAHTINOV_ANGLE_STEP = 0.5;
+const BAHTINOV_MIN_SEPARATION = 8;
+// The third spike must reach this fraction of the strongest one to count as a pattern
+const BAHTINOV_MIN_STRENGTH = 0.3;
+const RESTART_DELAY_MS = 5000;
+
+// Focus assist: measures sharpness of a region of live frames and streams it to the
+// clients - Laplacian variance (any detail), half-flux radius of stars and, with a
+// Bahtinov mask on, how far the central spike misses the crossing of the outer two
+class FocusAssistant {
+  constructor(capture) {
+    this.capture = capture;
+    this.reader = null;
+    this.enabled = false;
+    this.restartTimer = null;
+    this.reopen = false;
+    this.options = { roi: { ...DEFAULT_ROI }, fps: DEFAULT_FPS, bahtinov: false };
+    this.reset();
+  }
+
+  get running() {
+    return this.enabled;
+  }
+
+  reset() {
+    this.history = [];
+    this.best = { laplacian: null, hfr: null };
+    this.latest = null;
+  }
+
+  validateRoi(roi) {
+    const result = {};
+    for (const key of ['x', 'y', 'width', 'height']) {
+      const value = parseFloat(roi[key]);
+      if (!Number.isFinite(value) || value < 0 || value > 1) {
+        throw new Error(`roi.${key} must be between 0 and 1`);
+      }
+      result[key] = value;
+    }
+    if (result.width < MIN_ROI_SIZE || result.height < MIN_ROI_SIZE) {
+      throw new Error(`roi must be at least ${MIN_ROI_SIZE} of the frame`);
+    }
+    if (result.x + result.width > 1 || result.y + result.height > 1) {
+      throw new Error('roi must lie inside the frame');
+    }
+    return result;
+  }
+
+  async start({ roi, fps = DEFAULT_FPS, bahtinov = false } = {}) {
+    if (this.enabled) {
+      throw new Error('Focus assist already running');
+    }
+
+    const options = {
+      roi: roi ? this.validateRoi(roi) : this.options.roi,
+      fps: Math.min(Math.max(parseFloat(fps) || DEFAULT_FPS, 0.2), 5),
+      bahtinov: bahtinov === true
+    };
+
+    // Claimed before the await so a second start can't open another reader
+    this.enabled = true;
+    let streamReady;
+    try {
+      streamReady = await this.capture.checkStreamHealth();
+    } catch (err) {
+      this.enabled = false;
+      throw err;
+    }
+    if (!this.enabled) {
+      throw new Error('Focus assist stopped while starting');
+    }
+    if (!streamReady) {
+      this.enabled = false;
+      throw new Error('Stream not ready - MediaMTX may be starting up');
+    }
+
+    this.options = options;
+    this.reset();
+    this.openReader();
+
+    this.capture.notify('focusStarted', this.getStatus());
+    return { success: true, ...this.getStatus() };
+  }
+
+  stop() {
+    if (!this.enabled) {
+      throw new Error('Focus assist not running');
+    }
+
+    this.enabled = false;
+    this.reopen = false;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    if (this.reader) {
+      this.reader.stop();
+    }
+
+    this.capture.notify('focusStopped', this.getStatus());
+    return { success: true, ...this.getStatus() };
+  }
+
+  // A new ROI restarts the reader (the crop happens in ffmpeg) and the graph
+  update({ roi, bahtinov } = {}) {
+    if (roi !== undefined) {
+      this.options.roi = this.validateRoi(roi);
+      this.reset();
+      if (this.reader) {
+        this.reopen = true;
+        this.reader.stop();
+      }
+    }
+    if (bahtinov !== undefined) {
+      this.options.bahtinov = bahtinov === true;
+    }
+
+    this.capture.notify('focusSettingsChanged', this.getStatus());
+    return { success: true, ...this.getStatus() };
+  }
+
+  clear() {
+    this.reset();
+    this.capture.notify('focusSettingsChanged', this.getStatus());
+    return { success: true, ...this.getStatus() };
+  }
+
+  openReader() {
+    const { x, y, width, height } = this.options.roi;
+    const reader = new FrameReader(this.capture.rtspUrl, {
+      fps: this.options.fps,
+      pixelFormat: 'gray',
+      filter: `crop=iw*${width}:ih*${height}:iw*${x}:ih*${y}`
+    });
+    this.reader = reader;
+
+    reader.on('frame', (frame) => this.addFrame(frame));
+    reader.on('error', (err) => {
+      console.error('Focus assist reader error:', err.message);
+    });
+    reader.on('close', ({ stderr }) => {
+      this.reader = null;
+      if (!this.enabled) return;
+
+      // Stopped for an ROI change: reopen at once with the new crop
+      if (this.reopen) {
+        this.reopen = false;
+        this.openReader();
+        return;
+      }
+      console.error('Focus assist reader exited:', stderr.slice(-200));
+      this.restartTimer = setTimeout(() => {
+        this.restartTimer = null;
+        if (this.enabled && !this.reader) this.openReader();
+      }, RESTART_DELAY_MS);
+    });
+    reader.start();
+  }
+
+  addFrame(frame) {
+    const background = this.background(frame);
+    const stars = this.findStars(frame, background);
+    const hfrs = stars.map(star => star.hfr).sort((a, b) => a - b);
+    const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+
+    const sample = {
+      timestamp: new Date().toISOString(),
+      width: frame.width,
+      height: frame.height,
+      laplacian: round(this.laplacianVariance(frame)),
+      hfr: hfrs.length ? round(hfrs[Math.floor(hfrs.length / 2)]) : null,
+      stars: stars.length,
+      bahtinov: this.options.bahtinov && stars.length ? this.analyzeBahtinov(frame, stars[0], background) : null
+    };
+
+    if (this.best.laplacian === null || sample.laplacian > this.best.laplacian) {
+      this.best.laplacian = sample.laplacian;
+    }
+    if (sample.hfr !== null && (this.best.hfr === null || sample.hfr < this.best.hfr)) {
+      this.best.hfr = sample.hfr;
+    }
+
+    this.latest = sample;
+    this.history.push(sample);
+    if (this.history.length > HISTORY_LENGTH) {
+      this.history.shift();
+    }
+
+    this.capture.notify('focusStats', { ...sample, best: this.best });
+  }
+
+  // Median and robust noise (MAD) from the 8-bit histogram; stars don't skew either
+  background(frame) {
+    const { data } = frame;
+    const histogram = new Uint32Array(256);
+    for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+    const percentile = (bins, fraction) => {
+      const target = data.length * fraction;
+      let count = 0;
+      for (let v = 0; v < bins.length; v++) {
+        count += bins[v];
+        if (count >= target) return v;
+      }
+      return bins.length - 1;
+    };
+
+    const median = percentile(histogram, 0.5);
+    const deviations = new Uint32Array(256);
+    for (let v = 0; v < 256; v++) deviations[Math.abs(v - median)] += histogram[v];
+    const sigma = Math.max(1, 1.4826 * percentile(deviations, 0.5));
+
+    return { median, sigma };
+  }
+
+  // Variance of the 4-neighbour Laplacian: rises with fine detail, peaks at best focus
+  laplacianVariance(frame) {
+    const { width, height, data } = frame;
+    let sum = 0;
+    let sumSq = 0;
+    let n = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const value = 4 * data[i] - data[i - 1] - data[i + 1] - data[i - width] - data[i + width];
+        sum += value;
+        sumSq += value * value;
+        n++;
+      }
+    }
+
+    if (n === 0) return 0;
+    const mean = sum / n;
+    return sumSq / n - mean * mean;
+  }
+
+  // Brightest local maxima well above the noise, at least a star window apart,
+  // each with its half-flux radius (flux-weighted mean distance from the centroid)
+  findStars(frame, { median, sigma }) {
+    const { width, height, data } = frame;
+    const threshold = median + STAR_SIGMA * sigma;
+    const candidates = [];
+
+    for (let y = STAR_RADIUS; y < height - STAR_RADIUS; y++) {
+      for (let x = STAR_RADIUS; x < width - STAR_RADIUS; x++) {
+        const i = y * width + x;
+        const v = data[i];
+        if (v <= threshold) continue;
+        if (v < data[i - 1] || v < data[i + 1] || v < data[i - width] || v < data[i + width] ||
+          v < data[i - width - 1] || v < data[i - width + 1] || v < data[i + width - 1] || v < data[i + width + 1]) {
+          continue;
+        }
+        candidates.push({ x, y, peak: v });
+      }
+    }
+    candidates.sort((a, b) => b.peak - a.peak);
+
+    const stars = [];
+    for (const candidate of candidates) {
+      if (stars.length >= MAX_STARS) break;
+      const tooClose = stars.some(s => Math.abs(s.x - candidate.x) < STAR_RADIUS * 2 && Math.abs(s.y - candidate.y) < STAR_RADIUS * 2);
+      if (tooClose) continue;
+
+      const star = this.measureStar(frame, candidate, median);
+      if (star) stars.push(star);
+    }
+    return stars;
+  }
+
+  measureStar(frame, { x: px, y: py, peak }, median) {
+    const { width, data } = frame;
+    let flux = 0;
+    let cx = 0;
+    let cy = 0;
+    for (let y = py - STAR_RADIUS; y <= py + STAR_RADIUS; y++) {
+      for (let x = px - STAR_RADIUS; x <= px + STAR_RADIUS; x++) {
+        const w = data[y * width + x] - median;
+        if (w <= 0) continue;
+        flux += w;
+        cx += x * w;
+        cy += y * w;
+      }
+    }
+    if (flux <= 0) return null;
+    cx /= flux;
+    cy /= flux;
+
+    let radiusSum = 0;
+    for (let y = py - STAR_RADIUS; y <= py + STAR_RADIUS; y++) {
+      for (let x = px - STAR_RADIUS; x <= px + STAR_RADIUS; x++) {
+        const w = data[y * width + x] - median;
+        if (w <= 0) continue;
+        radiusSum += w * Math.hypot(x - cx, y - cy);
+      }
+    }
+
+    return { x: cx, y: cy, peak, flux, hfr: radiusSum / flux };
+  }
+
+  // Bahtinov mask: find the three diffraction spikes around the star with a line
+  // (Radon) transform, then measure how far the central spike passes from the point
+  // where the two outer spikes cross. Zero means focused; the sign flips across focus.
+  analyzeBahtinov(frame, star, { median, sigma }) {
+    const { width, height, data } = frame;
+    const radius = Math.floor(Math.min(BAHTINOV_RADIUS, star.x, star.y, width - 1 - star.x, height - 1 - star.y));
+    // The core is bright along every direction and would swamp the spikes
+    const coreRadius = Math.max(5, star.hfr * 3);
+    if (radius <= coreRadius * 2) {
+      return { detected: false };
+    }
+
+    const threshold = median + 3 * sigma;
+    const points = [];
+    for (let y = Math.ceil(star.y - radius); y <= star.y + radius; y++) {
+      for (let x = Math.ceil(star.x - radius); x <= star.x + radius; x++) {
+        const w = data[y * width + x] - threshold;
+        if (w <= 0) continue;
+        const dx = x - star.x;
+        const dy = y - star.y;
+        const r = Math.hypot(dx, dy);
+        if (r < coreRadius || r > radius) continue;
+        points.push(dx, dy, w);
+      }
+    }
+    if (points.length === 0) {
+      return { detected: false };
+    }
+
+    // accumulator[angle][rho]: line x*cos + y*sin = rho, rho in whole pixels
+    const angles = Math.round(180 / BAHTINOV_ANGLE_STEP);
+    const rhoOffset = Math.ceil(radius * Math.SQRT2);
+    const rhoBins = rhoOffset * 2 + 1;
+    const accumulator = new Float32Array(angles * rhoBins);
+    const cos = new Float32Array(angles);
+    const sin = new Float32Array(angles);
+    for (let a = 0; a < angles; a++) {
+      const theta = a * BAHTINOV_ANGLE_STEP * Math.PI / 180;
+      cos[a] = Math.cos(theta);
+      sin[a] = Math.sin(theta);
+    }
+
+    for (let p = 0; p < points.length; p += 3) {
+      const dx = points[p];
+      const dy = points[p + 1];
+      const w = points[p + 2];
+      for (let a = 0; a < angles; a++) {
+        const rho = Math.round(dx * cos[a] + dy * sin[a]) + rhoOffset;
+        accumulator[a * rhoBins + rho] += w;
+      }
+    }
+
+    // Strongest line at each angle
+    const strength = new Float32Array(angles);
+    const bestRho = new Int32Array(angles);
+    for (let a = 0; a < angles; a++) {
+      for (let r = 0; r < rhoBins; r++) {
+        const value = accumulator[a * rhoBins + r];
+        if (value > strength[a]) {
+          strength[a] = value;
+          bestRho[a] = r;
+        }
+      }
+    }
+
+    // Three strongest angles, each at least BAHTINOV_MIN_SEPARATION apart (angles wrap at 180)
+    const separation = Math.round(BAHTINOV_MIN_SEPARATION / BAHTINOV_ANGLE_STEP);
+    const spikes = [];
+    const suppressed = new Uint8Array(angles);
+    while (spikes.length < 3) {
+      let best = -1;
+      for (let a = 0; a < angles; a++) {
+        if (!suppressed[a] && (best === -1 || strength[a] > strength[best])) best = a;
+      }
+      if (best === -1 || strength[best] <= 0) break;
+
+      spikes.push(best);
+      for (let d = -separation; d <= separation; d++) {
+        suppressed[(best + d + angles) % angles] = 1;
+      }
+    }
+    if (spikes.length < 3 || strength[spikes[2]] < strength[spikes[0]] * BAHTINOV_MIN_STRENGTH) {
+      return { detected: false };
+    }
+
+    const lines = spikes.map((a) => {
+      // Sub-pixel line position from a parabola through the peak and its neighbours
+      const r = bestRho[a];
+      const row = a * rhoBins;
+      const left = r > 0 ? accumulator[row + r - 1] : 0;
+      const right = r < rhoBins - 1 ? accumulator[row + r + 1] : 0;
+      const centre = accumulator[row + r];
+      const denominator = left - 2 * centre + right;
+      const shift = denominator !== 0 ? (left - right) / (2 * denominator) : 0;
+      return { angle: a * BAHTINOV_ANGLE_STEP, rho: r - rhoOffset + shift };
+    }).sort((a, b) => a.angle - b.angle);
+
+    // The central spike lies between the outer two; the widest gap is on the far side
+    const gaps = [
+      lines[1].angle - lines[0].angle,
+      lines[2].angle - lines[1].angle,
+      180 - lines[2].angle + lines[0].angle
+    ];
+    const widest = gaps.indexOf(Math.max(...gaps));
+    const centralIndex = [2, 0, 1][widest];
+    const central = lines[centralIndex];
+    const [outerA, outerB] = lines.filter((line, i) => i !== centralIndex);
+
+    const toRad = degrees => degrees * Math.PI / 180;
+    const a1 = toRad(outerA.angle);
+    const a2 = toRad(outerB.angle);
+    const determinant = Math.sin(a2 - a1);
+    if (Math.abs(determinant) < Math.sin(toRad(BAHTINOV_MIN_SEPARATION / 2))) {
+      return { detected: false };
+    }
+    const ix = (outerA.rho * Math.sin(a2) - outerB.rho * Math.sin(a1)) / determinant;
+    const iy = (outerB.rho * Math.cos(a1) - outerA.rho * Math.cos(a2)) / determinant;
+    const ac = toRad(central.angle);
+    const offset = ix * Math.cos(ac) + iy * Math.sin(ac) - central.rho;
+
+    const round = value => Math.round(value * 100) / 100;
+    return {
+      detected: true,
+      offset: round(offset),
+      star: { x: round(star.x), y: round(star.y) },
+      angles: lines.map(line => line.angle),
+      intersection: { x: round(star.x + ix), y: round(star.y + iy) }
+    };
+  }
+
+  getStatus() {
+    return {
+      running: this.enabled,
+      ...this.options,
+      latest: this.latest,
+      best: this.best,
+      history: this.history
+    };
+  }
+}
+
+module.exports = FocusAssistant;
@@ -0,0 +1,207 @@
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+
+const CHANNELS = { gray: 1, rgb24: 3, gray16le: 1, rgb48le: 3 };
+
+// Pull decoded frames from an RTSP path as raw pixel buffers by piping ffmpeg's
+// rawvideo output. Emits 'frame' ({ width, height, channels, data }), 'error' and 'close'.
+class FrameReader extends EventEmitter {
+  constructor(rtspUrl, { fps = 1, pixelFormat = 'rgb24', filter = null } = {}) {
+    super();
+    this.rtspUrl = rtspUrl;
+    this.fps = fps;
+    this.pixelFormat = pixelFormat;
+    this.filter = filter;
+    this.process = null;
+    this.width = null;
+    this.height = null;
+  }
+
+  get channels() {
+    return CHANNELS[this.pixelFormat];
+  }
+
+  get running() {
+    return this.process !== null;
+  }
+
+  start() {
+    if (this.process) return;
+
+    const filters = [`fps=${this.fps}`];
+    if (this.filter) filters.push(this.filter);
+
+    const ffmpeg = spawn('ffmpeg', [
+      '-rtsp_transport', 'tcp',
+      '-timeout', '6000000',
+      '-i', this.rtspUrl,
+      '-an',
+      '-vf', filters.join(','),
+      '-f', 'rawvideo',
+      '-pix_fmt', this.pixelFormat,
+      'pipe:1'
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+    this.process = ffmpeg;
+
+    let pending = [];
+    let pendingBytes = 0;
+    let stderrTail = '';
+
+    // The frame size is only known once ffmpeg reports its output stream
+    ffmpeg.stderr.on('data', (data) => {
+      const text = data.toString();
+      stderrTail = (stderrTail + text).slice(-500);
+      if (this.width === null) {
+        const match = stderrTail.match(/Output #0[\s\S]*?Video: rawvideo[^\n]*?, (\d+)x(\d+)/);
+        if (match) {
+          this.width = parseInt(match[1], 10);
+          this.height = parseInt(match[2], 10);
+          drain();
+        }
+      }
+    });
+
+    const bytesPerSample = this.pixelFormat.endsWith('16le') || this.pixelFormat.endsWith('48le') ? 2 : 1;
+
+    const drain = () => {
+      if (this.width === null) return;
+      const frameBytes = this.width * this.height * this.channels * bytesPerSample;
+
+      while (pendingBytes >= frameBytes) {
+        const buffer = Buffer.concat(pending, pendingBytes);
+        const data = buffer.subarray(0, frameBytes);
+        const rest = buffer.subarray(frameBytes);
+        pending = rest.length ? [rest] : [];
+        pendingBytes = rest.length;
+
+        this.emit('frame', {
+          width: this.width,
+          height: this.height,
+          channels: this.channels,
+          pixelFormat: this.pixelFormat,
+          data: Buffer.from(data),
+          timestamp: Date.now()
+        });
+      }
+    };
+
+    ffmpeg.stdout.on('data', (chunk) => {
+      pending.push(chunk);
+      pendingBytes += chunk.length;
+      drain();
+    });
+
+    ffmpeg.once('error', (err) => {
+      this.emit('error', err);
+    });
+
+    ffmpeg.once('close', (code) => {
+      this.process = null;
+      this.width = null;
+      this.height = null;
+      this.emit('close', { code, stderr: stderrTail });
+    });
+  }
+
+  stop() {
+    if (this.process) {
+      this.process.kill('SIGTERM');
+    }
+  }
+
+  // Decode a single frame from the stream
+  static grab(rtspUrl, options = {}, timeoutMs = 10000) {
+    return new Promise((resolve, reject) => {
+      const reader = new FrameReader(rtspUrl, { fps: 30, ...options });
+      const timer = setTimeout(() => {
+        reader.stop();
+        reject(new Error('Timed out waiting for a frame'));
+      }, timeoutMs);
+
+      reader.once('frame', (frame) => {
+        clearTimeout(timer);
+        reader.stop();
+        resolve(frame);
+      });
+      reader.once('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+      reader.once('close', ({ stderr }) => {
+        clearTimeout(timer);
+        reject(new Error(`Frame grab failed: ${stderr.slice(-200)}`));
+      });
+      reader.start();
+    });
+  }
+
+  // Decode an image file into a raw frame
+  static decode(filepath, pixelFormat = 'rgb24') {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', [
+        '-i', filepath,
+        '-frames:v', '1',
+        '-f', 'rawvideo',
+        '-pix_fmt', pixelFormat,
+        'pipe:1'
+      ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+      const chunks = [];
+      let stderr = '';
+      ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+      ffmpeg.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+      ffmpeg.once('error', reject);
+      ffmpeg.once('close', (code) => {
+        const match = stderr.match(/Output #0[\s\S]*?Video: rawvideo[^\n]*?, (\d+)x(\d+)/);
+        if (code !== 0 || !match) {
+          return reject(new Error(`Image decode failed: ${stderr.slice(-200)}`));
+        }
+        resolve({
+          width: parseInt(match[1], 10),
+          height: parseInt(match[2], 10),
+          channels: CHANNELS[pixelFormat],
+          pixelFormat,
+          data: Buffer.concat(chunks)
+        });
+      });
+    });
+  }
+
+  // Encode a raw frame to an image file; the format follows the file extension
+  static encode(frame, filepath, outputArgs = []) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', [
+        '-y',
+        '-f', 'rawvideo',
+        '-pix_fmt', frame.pixelFormat || (frame.channels === 1 ? 'gray' : 'rgb24'),
+        '-s', `${frame.width}x${frame.height}`,
+        '-i', 'pipe:0',
+        '-frames:v', '1',
+        ...outputArgs,
+        filepath
+      ], { stdio: ['pipe', 'ignore', 'pipe'] });
+
+      let stderrTail = '';
+      ffmpeg.stderr.on('data', (data) => {
+        stderrTail = (stderrTail + data.toString()).slice(-500);
+      });
+      ffmpeg.once('error', reject);
+      ffmpeg.once('close', (code) => {
+        if (code === 0) {
+          resolve(filepath);
+        } else {
+          reject(new Error(`Image encode failed: ${stderrTail.slice(-200)}`));
+        }
+      });
+
+      ffmpeg.stdin.on('error', () => {
+        // ffmpeg exited early; the close handler reports it
+      });
+      ffmpeg.stdin.end(frame.data);
+    });
+  }
+}
+
+module.exports = FrameReader;
@@ -0,0 +1,290 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const HttpError = require('../httpError');
+
+// Each shot opens a fresh RTSP reader, which takes a second or two on a Pi
+const MIN_INTERVAL_SEC = 2;
+const MAX_CONSECUTIVE_FAILURES = 5;
+const DEFAULT_VIDEO_FPS = 24;
+
+// Unattended timelapse: one photo every `interval` seconds until `count` frames
+// or `duration` seconds, optionally rendered to an MP4 when the run finishes
+class Intervalometer {
+  constructor(capture) {
+    this.capture = capture;
+    this.job = null;
+  }
+
+  async start({ interval, count, duration, video = false, fps = DEFAULT_VIDEO_FPS, target, notes } = {}) {
+    if (this.job) {
+      throw new HttpError(409, 'Timelapse already running');
+    }
+
+    interval = parseFloat(interval);
+    count = count ? parseInt(count, 10) : null;
+    duration = duration ? parseFloat(duration) : null;
+    fps = parseInt(fps, 10) || DEFAULT_VIDEO_FPS;
+
+    if (!(interval >= MIN_INTERVAL_SEC)) {
+      throw new HttpError(400, `interval must be at least ${MIN_INTERVAL_SEC} seconds`);
+    }
+    if (!count && !duration) {
+      throw new HttpError(400, 'count or duration required');
+    }
+    if ((count !== null && count < 1) || (duration !== null && duration <= 0)) {
+      throw new HttpError(400, 'count and duration must be positive');
+    }
+
+    // Hold the slot across the checks below so an overlapping start is refused
+    const reservation = { state: 'starting' };
+    this.job = reservation;
+    try {
+      const streamReady = await this.capture.checkStreamHealth();
+      if (!streamReady) {
+        throw new Error('Stream not ready - MediaMTX may be starting up');
+      }
+
+      const diskSpace = await this.capture.checkDiskSpace();
+      if (!diskSpace.sufficient) {
+        throw new Error(`Insufficient disk space: ${diskSpace.available}MB available`);
+      }
+
+      const { name, dir } = await this.capture.createFrameFolder('timelapse');
+      const metadata = await this.capture.collectMetadata('timelapse', {
+        target,
+        notes,
+        timelapse: { interval, count, duration }
+      });
+      await this.capture.writeMetadata(dir, metadata);
+      this.job = {
+        name,
+        dir,
+        interval,
+        count,
+        duration,
+        video: video === true,
+        fps,
+        metadata,
+        captured: 0,
+        failures: 0,
+        startTime: Date.now(),
+        nextShotTime: Date.now(),
+        state: 'running',
+        stopReason: null,
+        timer: null,
+        renderProcess: null
+      };
+    } finally {
+      if (this.job === reservation) {
+        this.job = null;
+      }
+    }
+
+    this.capture.notify('timelapseStarted', this.getStatus());
+    this.scheduleNext(this.job);
+
+    return { success: true, ...this.getStatus() };
+  }
+
+  scheduleNext(job) {
+    const delay = Math.max(0, job.nextShotTime - Date.now());
+    job.timer = setTimeout(() => {
+      this.shoot(job).catch(err => this.failJob(job, err));
+    }, delay);
+  }
+
+  async shoot(job) {
+    if (job.state !== 'running') return;
+
+    const diskSpace = await this.capture.checkDiskSpace();
+    if (!diskSpace.sufficient) {
+      console.error(`Timelapse ${job.name}: disk space low (${diskSpace.available}MB), stopping`);
+      return this.finish(job, 'disk');
+    }
+
+    const frame = `frame_${String(job.captured + 1).padStart(5, '0')}.jpg`;
+    try {
+      await this.capture.grabFrame(path.join(job.dir, frame));
+      job.captured++;
+      job.failures = 0;
+      this.capture.notify('timelapseProgress', {
+        name: job.name,
+        captured: job.captured,
+        count: job.count,
+        elapsed: Math.floor((Date.now() - job.startTime) / 1000)
+      });
+    } catch (err) {
+      job.failures++;
+      this.capture.notify('timelapseError', { name: job.name, error: err.message, failures: job.failures });
+      if (job.failures >= MAX_CONSECUTIVE_FAILURES) {
+        return this.finish(job, 'failed');
+      }
+    }
+
+    if (job.state !== 'running') return;
+
+    if (job.count && job.captured >= job.count) {
+      return this.finish(job, 'complete');
+    }
+
+    // Stay on the original schedule; skip slots a slow capture has already missed
+    const now = Date.now();
+    do {
+      job.nextShotTime += job.interval * 1000;
+    } while (job.nextShotTime < now);
+
+    if (job.duration && job.nextShotTime - job.startTime > job.duration * 1000) {
+      return this.finish(job, 'complete');
+    }
+
+    this.scheduleNext(job);
+  }
+
+  async finish(job, reason, { skipVideo = false } = {}) {
+    if (job.state !== 'running') return;
+
+    clearTimeout(job.timer);
+    job.state = 'finishing';
+    job.stopReason = reason;
+
+    let video = null;
+    if (job.video && !skipVideo && job.captured >= 2) {
+      try {
+        job.state = 'rendering';
+        this.capture.notify('timelapseRendering', { name: job.name, frames: job.captured });
+        video = await this.renderVideo(job);
+      } catch (err) {
+        console.error(`Timelapse ${job.name} render failed:`, err.message);
+        this.capture.notify('timelapseError', { name: job.name, error: err.message });
+      }
+    }
+
+    this.capture.releaseFrameFolder(job.name);
+    if (job.captured === 0) {
+      await this.capture.removeCaptureFiles(job.dir);
+    } else {
+      const { interval, count, duration, captured } = job;
+      await this.capture.amendMetadata(job.dir, {
+        timelapse: { interval, count, duration, captured, stopReason: reason, video: video ? video.filename : null }
+      });
+    }
+    if (video) {
+      await this.capture.writeMetadata(video.path, {
+        ...job.metadata,
+        type: 'video',
+        source: job.name,
+        timelapse: { interval: job.interval, frames: job.captured, fps: job.fps }
+      });
+    }
+
+    if (this.job === job) {
+      this.job = null;
+    }
+    job.state = 'done';
+
+    console.log(`Timelapse ${job.name} finished (${reason}): ${job.captured} frames`);
+    this.capture.notify('timelapseComplete', {
+      name: job.name,
+      captured: job.captured,
+      reason,
+      video: video ? video.filename : null
+    });
+    if (job.captured > 0) {
+      this.capture.thumbnails.schedule(job.name);
+      this.capture.notify('captureComplete', { type: 'timelapse', filename: job.name });
+    }
+    if (video) {
+      this.capture.thumbnails.schedule(video.filename);
+      this.capture.notify('captureComplete', { type: 'video', filename: video.filename });
+    }
+  }
+
+  // Last resort for errors outside the per-frame handling (disk checks, cleanup):
+  // log, end the job and free the slot instead of leaving it stuck in 'finishing'
+  failJob(job, err) {
+    console.error(`Timelapse ${job.name} failed:`, err.message);
+    clearTimeout(job.timer);
+    this.capture.releaseFrameFolder(job.name);
+    if (this.job === job) {
+      this.job = null;
+    }
+    job.state = 'done';
+    this.capture.notify('timelapseError', { name: job.name, error: err.message });
+    this.capture.notify('timelapseComplete', {
+      name: job.name,
+      captured: job.captured,
+      reason: 'failed',
+      video: null
+    });
+  }
+
+  renderVideo(job) {
+    const video = this.capture.getCapturePath('video', 'mp4');
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', [
+        '-y',
+        '-framerate', String(job.fps),
+        '-i', path.join(job.dir, 'frame_%05d.jpg'),
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-pix_fmt', 'yuv420p',
+        '-movflags', '+faststart',
+        video.path
+      ], { stdio: ['ignore', 'ignore', 'pipe'] });
+      job.renderProcess = ffmpeg;
+
+      let stderrTail = '';
+      ffmpeg.stderr.on('data', (data) => {
+        stderrTail = (stderrTail + data.toString()).slice(-500);
+      });
+
+      ffmpeg.once('error', reject);
+      ffmpeg.once('close', (code) => {
+        job.renderProcess = null;
+        if (code === 0) {
+          resolve(video);
+        } else {
+          fsPromises.unlink(video.path).catch(() => {});
+          reject(new Error(`Timelapse render failed: ${stderrTail.slice(-200)}`));
+        }
+      });
+    });
+  }
+
+  stop({ skipVideo = false } = {}) {
+    if (!this.job || this.job.state !== 'running') {
+      throw new Error('No timelapse running');
+    }
+
+    const job = this.job;
+    // Rendering can take minutes on a Pi, so don't hold the request open for it
+    this.finish(job, 'stopped', { skipVideo }).catch(err => this.failJob(job, err));
+    return { success: true, name: job.name, captured: job.captured };
+  }
+
+  getStatus() {
+    if (!this.job || this.job.state === 'starting') {
+      return { running: false };
+    }
+
+    const { name, interval, count, duration, video, fps, captured, startTime, nextShotTime, state } = this.job;
+    return {
+      running: true,
+      state,
+      name,
+      interval,
+      count,
+      duration,
+      video,
+      fps,
+      captured,
+      startTime: new Date(startTime).toISOString(),
+      nextShotTime: state === 'running' ? new Date(nextShotTime).toISOString() : null
+    };
+  }
+}
+
+module.exports = Intervalometer;
@@ -0,0 +1,344 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const FrameReader = require('./frameReader');
+
+const DEFAULT_FPS = 2;
+// Window (px) searched around the brightest point when measuring a star centroid
+const STAR_WINDOW = 12;
+// A frame is unusable for alignment if its brightest star is this faint (0-255 luminance)
+const MIN_STAR_PEAK = 40;
+// Reject frames that jumped further than this from the reference (clouds, bumps)
+const MAX_SHIFT = 80;
+// A sum is scaled so this fraction of its values fits below white; only star cores clip
+const SUM_WHITE_PERCENTILE = 0.999;
+const SUM_HISTOGRAM_BINS = 4096;
+
+// Live stacking: pull frames from the RTSP feed, register them on the brightest
+// star and keep a running average (or sum) that stands in for a long exposure
+class LiveStacker {
+  constructor(capture) {
+    this.capture = capture;
+    this.reader = null;
+    this.reset();
+    this.options = { mode: 'average', align: true, fps: DEFAULT_FPS };
+    this.previewFile = path.join(os.tmpdir(), `stack_${capture.cameraId}.jpg`);
+    this.previewVersion = -1;
+    // In-flight encode, shared by preview requests for the same stack version
+    this.previewJob = null;
+  }
+
+  reset() {
+    this.accumulator = null;
+    this.counts = null;
+    this.width = 0;
+    this.height = 0;
+    this.frames = 0;
+    this.rejected = 0;
+    this.reference = null;
+    // Never reused, so a cached preview can't outlive a reset
+    this.version = (this.version || 0) + 1;
+  }
+
+  get running() {
+    return this.reader !== null;
+  }
+
+  async start({ mode = 'average', align = true, fps = DEFAULT_FPS } = {}) {
+    if (this.reader) {
+      throw new Error('Live stacking already running');
+    }
+    if (!['average', 'sum'].includes(mode)) {
+      throw new Error('mode must be "average" or "sum"');
+    }
+
+    const streamReady = await this.capture.checkStreamHealth();
+    if (!streamReady) {
+      throw new Error('Stream not ready - MediaMTX may be starting up');
+    }
+
+    this.options = { mode, align: align !== false, fps: Math.min(Math.max(parseFloat(fps) || DEFAULT_FPS, 0.1), 10) };
+    this.reader = new FrameReader(this.capture.rtspUrl, { fps: this.options.fps, pixelFormat: 'rgb24' });
+
+    this.reader.on('frame', (frame) => this.addFrame(frame));
+    this.reader.on('error', (err) => {
+      console.error('Live stack reader error:', err.message);
+    });
+    this.reader.on('close', ({ code, stderr }) => {
+      this.reader = null;
+      if (code !== 0 && code !== null) {
+        console.error('Live stack reader exited:', stderr.slice(-200));
+      }
+      this.capture.notify('stackStopped', this.getStatus());
+    });
+    this.reader.start();
+
+    this.capture.notify('stackStarted', this.getStatus());
+    return { success: true, ...this.getStatus() };
+  }
+
+  stop() {
+    if (!this.reader) {
+      throw new Error('Live stacking not running');
+    }
+    this.reader.stop();
+    return { success: true, ...this.getStatus(), running: false };
+  }
+
+  clear() {
+    const { mode, align, fps } = this.options;
+    this.reset();
+    this.options = { mode, align, fps };
+    this.capture.notify('stackUpdated', this.getStatus());
+    return { success: true, ...this.getStatus() };
+  }
+
+  luminance(frame) {
+    const { width, height, data } = frame;
+    const lum = new Float32Array(width * height);
+    for (let i = 0, p = 0; i < lum.length; i++, p += 3) {
+      lum[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+    }
+    return lum;
+  }
+
+  // Intensity-weighted centroid of the brightest star. A 3x3 box sum picks the
+  // peak so single hot pixels don't win over real stars.
+  findStar(frame) {
+    const { width, height } = frame;
+    const lum = this.luminance(frame);
+
+    let mean = 0;
+    for (let i = 0; i < lum.length; i++) mean += lum[i];
+    mean /= lum.length;
+
+    let best = -1;
+    let bestX = 0;
+    let bestY = 0;
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const sum = lum[i - width - 1] + lum[i - width] + lum[i - width + 1] +
+          lum[i - 1] + lum[i] + lum[i + 1] +
+          lum[i + width - 1] + lum[i + width] + lum[i + width + 1];
+        if (sum > best) {
+          best = sum;
+          bestX = x;
+          bestY = y;
+        }
+      }
+    }
+
+    if (best / 9 < MIN_STAR_PEAK) {
+      return null;
+    }
+
+    let total = 0;
+    let cx = 0;
+    let cy = 0;
+    for (let y = Math.max(0, bestY - STAR_WINDOW); y <= Math.min(height - 1, bestY + STAR_WINDOW); y++) {
+      for (let x = Math.max(0, bestX - STAR_WINDOW); x <= Math.min(width - 1, bestX + STAR_WINDOW); x++) {
+        const weight = lum[y * width + x] - mean;
+        if (weight > 0) {
+          total += weight;
+          cx += x * weight;
+          cy += y * weight;
+        }
+      }
+    }
+
+    return total > 0 ? { x: cx / total, y: cy / total } : null;
+  }
+
+  addFrame(frame) {
+    const { width, height, data } = frame;
+
+    // Stream geometry changed (binning/ROI switch) - start a new stack
+    if (this.accumulator && (width !== this.width || height !== this.height)) {
+      this.clear();
+    }
+
+    if (!this.accumulator) {
+      this.width = width;
+      this.height = height;
+      this.accumulator = new Float32Array(width * height * 3);
+      this.counts = new Uint32Array(width * height);
+    }
+
+    let dx = 0;
+    let dy = 0;
+    if (this.options.align) {
+      const star = this.findStar(frame);
+      if (!star) {
+        this.rejected++;
+        this.capture.notify('stackUpdated', this.getStatus());
+        return;
+      }
+      if (!this.reference) {
+        this.reference = star;
+      }
+      dx = Math.round(this.reference.x - star.x);
+      dy = Math.round(this.reference.y - star.y);
+      if (Math.abs(dx) > MAX_SHIFT || Math.abs(dy) > MAX_SHIFT) {
+        this.rejected++;
+        this.capture.notify('stackUpdated', this.getStatus());
+        return;
+      }
+    }
+
+    // Shift the frame onto the reference grid and accumulate
+    for (let y = 0; y < height; y++) {
+      const ty = y + dy;
+      if (ty < 0 || ty >= height) continue;
+      for (let x = 0; x < width; x++) {
+        const tx = x + dx;
+        if (tx < 0 || tx >= width) continue;
+        const src = (y * width + x) * 3;
+        const dst = ty * width + tx;
+        this.accumulator[dst * 3] += data[src];
+        this.accumulator[dst * 3 + 1] += data[src + 1];
+        this.accumulator[dst * 3 + 2] += data[src + 2];
+        this.counts[dst]++;
+      }
+    }
+
+    this.frames++;
+    this.version++;
+    this.capture.notify('stackUpdated', this.getStatus());
+  }
+
+  // Render the running stack to an 8-bit RGB frame
+  render() {
+    if (!this.accumulator || this.frames === 0) {
+      return null;
+    }
+
+    const data = Buffer.alloc(this.width * this.height * 3);
+    const sum = this.options.mode === 'sum';
+    const scale = sum ? 255 / this.sumWhitePoint() : 1;
+    for (let i = 0; i < this.counts.length; i++) {
+      const n = this.counts[i];
+      if (n === 0) continue;
+      for (let c = 0; c < 3; c++) {
+        const value = sum ? this.accumulator[i * 3 + c] * scale : this.accumulator[i * 3 + c] / n;
+        data[i * 3 + c] = Math.min(255, Math.round(value));
+      }
+    }
+
+    return { width: this.width, height: this.height, channels: 3, pixelFormat: 'rgb24', data };
+  }
+
+  // Sum value drawn as white: never below 255, so a sum is only ever compressed,
+  // and high enough that the faint signal the sum has built up isn't blown out
+  sumWhitePoint() {
+    let max = 0;
+    for (let i = 0; i < this.accumulator.length; i++) {
+      if (this.accumulator[i] > max) max = this.accumulator[i];
+    }
+    if (max <= 255) {
+      return 255;
+    }
+
+    const histogram = new Uint32Array(SUM_HISTOGRAM_BINS);
+    const binScale = (SUM_HISTOGRAM_BINS - 1) / max;
+    for (let i = 0; i < this.accumulator.length; i++) {
+      histogram[Math.floor(this.accumulator[i] * binScale)]++;
+    }
+
+    const limit = this.accumulator.length * SUM_WHITE_PERCENTILE;
+    let seen = 0;
+    for (let bin = 0; bin < SUM_HISTOGRAM_BINS; bin++) {
+      seen += histogram[bin];
+      if (seen >= limit) {
+        return Math.max(255, (bin + 1) / binScale);
+      }
+    }
+    return max;
+  }
+
+  // JPEG preview of the current stack, re-encoded only when it has changed
+  async getPreview() {
+    if (this.previewVersion === this.version && this.frames > 0) {
+      return this.previewFile;
+    }
+
+    const version = this.version;
+    if (!this.previewJob || this.previewJob.version !== version) {
+      const frame = this.render();
+      if (!frame) {
+        return null;
+      }
+      // Encode beside the preview and rename over it, so a slower encode of an older
+      // version never leaves a half-written file for a request that is reading it
+      const tmpFile = `${this.previewFile}.${version}.tmp`;
+      const promise = FrameReader.encode(frame, tmpFile, ['-q:v', '3'])
+        .then(async () => {
+          if (version > this.previewVersion) {
+            await fsPromises.rename(tmpFile, this.previewFile);
+            this.previewVersion = version;
+          } else {
+            await fsPromises.rm(tmpFile, { force: true });
+          }
+        }, async (err) => {
+          await fsPromises.rm(tmpFile, { force: true });
+          throw err;
+        })
+        .finally(() => {
+          if (this.previewJob && this.previewJob.promise === promise) {
+            this.previewJob = null;
+          }
+        });
+      this.previewJob = { version, promise };
+    }
+
+    await this.previewJob.promise;
+    return this.previewFile;
+  }
+
+  // Save the stack into the photo gallery
+  async save({ target, notes } = {}) {
+    const frame = this.render();
+    if (!frame) {
+      throw new Error('Nothing stacked yet');
+    }
+
+    const { filename, path: filepath } = this.capture.getCapturePath('photo', 'jpg');
+    const metadata = await this.capture.collectMetadata('photo', {
+      target,
+      notes,
+      format: 'jpg',
+      stack: { frames: this.frames, rejected: this.rejected, mode: this.options.mode, align: this.options.align }
+    });
+    await FrameReader.encode(frame, filepath, ['-q:v', '2']);
+    const stats = await fsPromises.stat(filepath);
+    await this.capture.writeMetadata(filepath, metadata);
+    this.capture.thumbnails.schedule(filename);
+
+    this.capture.notify('captureComplete', { type: 'photo', filename });
+    return {
+      success: true,
+      filename,
+      path: filepath,
+      size: stats.size,
+      frames: this.frames,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      mode: this.options.mode,
+      align: this.options.align,
+      fps: this.options.fps,
+      frames: this.frames,
+      rejected: this.rejected,
+      width: this.width,
+      height: this.height,
+      version: this.version
+    };
+  }
+}
+
+module.exports = LiveStacker;
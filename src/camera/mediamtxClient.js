@@ -0,0 +1,84 @@
+const MEDIAMTX_API = 'http://127.0.0.1:9997/v3';
+const REQUEST_TIMEOUT_MS = 3000;
+const POLL_INTERVAL_MS = 500;
+
+// Thin client for the MediaMTX v3 control API (enabled in mediamtx.yml, loopback only)
+class MediaMTXClient {
+  constructor(baseUrl = MEDIAMTX_API) {
+    this.baseUrl = baseUrl;
+  }
+
+  async request(endpoint, method = 'GET', body = null) {
+    const options = { method, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) };
+    if (body) {
+      options.headers = { 'Content-Type': 'application/json' };
+      options.body = JSON.stringify(body);
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${endpoint}`, options);
+    } catch (err) {
+      throw new Error('MediaMTX API not responding');
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      let message = text;
+      try {
+        message = JSON.parse(text).error || text;
+      } catch (err) {
+        // Plain-text error body
+      }
+      throw new Error(`MediaMTX API ${method} ${endpoint} failed (${response.status}): ${message}`);
+    }
+    return text ? JSON.parse(text) : null;
+  }
+
+  // Runtime state of a path ({ ready, readyTime, source, ... }), or null when it doesn't exist yet
+  async getPath(name) {
+    try {
+      return await this.request(`/paths/get/${encodeURIComponent(name)}`);
+    } catch (err) {
+      if (/\(404\)/.test(err.message)) return null;
+      throw err;
+    }
+  }
+
+  async listPaths() {
+    const data = await this.request('/paths/list');
+    return data.items || [];
+  }
+
+  // Change a path's configuration in the running server; MediaMTX restarts the path's
+  // source when its command changes. Not persisted - mediamtx.yml is written separately.
+  async patchPath(name, conf) {
+    await this.request(`/config/paths/patch/${encodeURIComponent(name)}`, 'PATCH', conf);
+  }
+
+  // Change server-wide settings (protocol switches and the like) in the running server
+  async patchGlobal(conf) {
+    await this.request('/config/global/patch', 'PATCH', conf);
+  }
+
+  // Wait for the path to publish again after a reload. A readyTime equal to the one seen
+  // before the change still belongs to the old source, so it doesn't count.
+  async waitReady(name, { previousReadyTime = null, timeoutMs = 15000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      try {
+        const path = await this.getPath(name);
+        if (path && path.ready && path.readyTime !== previousReadyTime) {
+          return path;
+        }
+      } catch (err) {
+        // MediaMTX may be busy reloading; keep polling until the deadline
+      }
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+    return null;
+  }
+}
+
+module.exports = MediaMTXClient;
@@ -0,0 +1,177 @@
+const { spawn } = require('child_process');
+const path = require('path');
+
+const MEDIAMTX_CONFIG = path.join(__dirname, '../../mediamtx.yml');
+
+// Restart configuration with exponential backoff
+const RESTART = {
+  initialDelay: 2000,
+  maxDelay: 60000,
+  maxRestarts: 10,
+  resetAfter: 300000
+};
+const STDERR_LINES = 50;
+const STOP_TIMEOUT_MS = 5000;
+
+// Runs MediaMTX as a child process and restarts it with backoff when it dies.
+// After maxRestarts it gives up until restart() is called by hand.
+class MediaMTXSupervisor {
+  constructor({ notify = () => {}, config = MEDIAMTX_CONFIG } = {}) {
+    this.notify = notify;
+    this.config = config;
+    this.process = null;
+    this.state = 'stopped';
+    this.startedAt = null;
+    this.lastExit = null;
+    this.stderr = [];
+    this.retryTimer = null;
+    this.stableTimer = null;
+    this.nextRetryAt = null;
+    this.shuttingDown = false;
+    this.resetBackoff();
+  }
+
+  resetBackoff() {
+    this.restartCount = 0;
+    this.delay = RESTART.initialDelay;
+  }
+
+  start() {
+    console.log(`Starting MediaMTX... (attempt ${this.restartCount + 1})`);
+    this.state = 'starting';
+    this.nextRetryAt = null;
+
+    const child = spawn('mediamtx', [this.config], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    this.process = child;
+
+    child.stdout.on('data', (data) => {
+      const msg = data.toString().trim();
+      if (msg) console.log('[MediaMTX]', msg);
+    });
+
+    child.stderr.on('data', (data) => {
+      const msg = data.toString().trim();
+      if (!msg) return;
+      console.error('[MediaMTX]', msg);
+      this.stderr.push(...msg.split('\n'));
+      this.stderr.splice(0, Math.max(0, this.stderr.length - STDERR_LINES));
+    });
+
+    child.on('spawn', () => {
+      this.state = 'running';
+      this.startedAt = Date.now();
+      this.notify('streamSupervisor', this.getStatus());
+    });
+
+    child.on('error', (err) => {
+      console.error('MediaMTX failed to start:', err.message);
+      this.stderr.push(err.message);
+      this.notify('streamError', { error: err.message });
+    });
+
+    // 'close' also follows a failed spawn, where 'exit' never fires
+    child.on('close', (code, signal) => {
+      if (this.process !== child) return;
+      console.log(`MediaMTX exited with code ${code}`);
+      this.process = null;
+      this.startedAt = null;
+      clearTimeout(this.stableTimer);
+      this.lastExit = { code, signal, at: new Date().toISOString() };
+      this.notify('streamStopped', { code });
+
+      if (this.shuttingDown || this.state === 'stopping') {
+        this.state = 'stopped';
+      } else if (code !== 0) {
+        this.scheduleRestart();
+      } else {
+        this.state = 'stopped';
+      }
+      this.notify('streamSupervisor', this.getStatus());
+    });
+
+    // Mark as stable after running for a while
+    clearTimeout(this.stableTimer);
+    this.stableTimer = setTimeout(() => {
+      if (this.process === child) {
+        console.log('MediaMTX stable for 5 minutes, resetting restart counter');
+        this.resetBackoff();
+      }
+    }, RESTART.resetAfter);
+  }
+
+  scheduleRestart() {
+    this.restartCount++;
+
+    if (this.restartCount > RESTART.maxRestarts) {
+      console.error(`MediaMTX failed ${RESTART.maxRestarts} times, giving up`);
+      this.state = 'failed';
+      this.notify('streamError', { error: 'MediaMTX failed too many times' });
+      return;
+    }
+
+    console.log(`Restarting MediaMTX in ${this.delay / 1000}s...`);
+    this.state = 'restarting';
+    this.nextRetryAt = Date.now() + this.delay;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.start();
+    }, this.delay);
+
+    // Exponential backoff
+    this.delay = Math.min(this.delay * 2, RESTART.maxDelay);
+  }
+
+  // Stop the process and any pending retry; resolves once MediaMTX has exited
+  stop() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+    const child = this.process;
+    if (!child) {
+      this.state = 'stopped';
+      return Promise.resolve();
+    }
+
+    this.state = 'stopping';
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT_MS);
+      child.once('close', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      child.kill('SIGTERM');
+    });
+  }
+
+  // Manual restart, also after the supervisor has given up; starts a fresh backoff sequence
+  async restart() {
+    await this.stop();
+    this.resetBackoff();
+    this.stderr = [];
+    this.start();
+    return this.getStatus();
+  }
+
+  shutdown() {
+    this.shuttingDown = true;
+    clearTimeout(this.stableTimer);
+    return this.stop();
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      pid: this.process ? this.process.pid : null,
+      uptime: this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : null,
+      restartCount: this.restartCount,
+      maxRestarts: RESTART.maxRestarts,
+      nextRetryAt: this.nextRetryAt ? new Date(this.nextRetryAt).toISOString() : null,
+      lastExit: this.lastExit,
+      stderr: this.stderr
+    };
+  }
+}
+
+module.exports = MediaMTXSupervisor;
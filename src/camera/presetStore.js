@@ -0,0 +1,230 @@
+const path = require('path');
+const fs = require('fs');
+const fsPromises = fs.promises;
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const PRESETS_FILE = path.join(DATA_DIR, 'presets.json');
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+const MAX_LABEL_LENGTH = 60;
+
+// Telescope-specific presets, used to seed the store on first run
+const DEFAULT_PRESETS = {
+  focusing: {
+    label: 'Focusing',
+    controls: {
+      auto_exposure: 1,
+      exposure_time_absolute: 500,
+      gain: 400,
+      gamma: 110,
+      sharpness: 7,
+      white_balance_automatic: 1,
+      focus_automatic_continuous: 1
+    }
+  },
+  planetary: {
+    label: 'Planetary',
+    controls: {
+      auto_exposure: 1,
+      exposure_time_absolute: 100,
+      gain: 200,
+      gamma: 100,
+      sharpness: 5,
+      white_balance_automatic: 0,
+      white_balance_temperature: 4600,
+      focus_automatic_continuous: 0,
+      focus_absolute: 512
+    }
+  },
+  lunar: {
+    label: 'Lunar',
+    controls: {
+      auto_exposure: 1,
+      exposure_time_absolute: 50,
+      gain: 100,
+      gamma: 90,
+      sharpness: 3,
+      white_balance_automatic: 0,
+      white_balance_temperature: 5000,
+      focus_automatic_continuous: 0,
+      focus_absolute: 512
+    }
+  },
+  dso: {
+    label: 'Deep Sky',
+    controls: {
+      auto_exposure: 1,
+      exposure_time_absolute: 5000,
+      gain: 800,
+      gamma: 150,
+      sharpness: 0,
+      white_balance_automatic: 0,
+      white_balance_temperature: 5500,
+      focus_automatic_continuous: 0,
+      focus_absolute: 512
+    }
+  }
+};
+
+class PresetStore {
+  constructor(file = PRESETS_FILE) {
+    this.file = file;
+    this.presets = null;
+  }
+
+  async load() {
+    if (this.presets) {
+      return this.presets;
+    }
+
+    try {
+      const data = await fsPromises.readFile(this.file, 'utf8');
+      this.presets = JSON.parse(data);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Failed to read presets, using defaults:', err.message);
+      }
+      this.presets = JSON.parse(JSON.stringify(DEFAULT_PRESETS));
+      await this.save();
+    }
+
+    return this.presets;
+  }
+
+  async save() {
+    await fsPromises.mkdir(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    await fsPromises.writeFile(tmpFile, JSON.stringify(this.presets, null, 2));
+    await fsPromises.rename(tmpFile, this.file);
+  }
+
+  validateName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new Error('Preset name must be 1-40 letters, digits, "-" or "_"');
+    }
+  }
+
+  // Trimmed display label; blank or missing falls back to the preset name
+  cleanLabel(label, name) {
+    if (label === undefined || label === null) {
+      return name;
+    }
+    if (typeof label !== 'string') {
+      throw new Error('Preset label must be a string');
+    }
+    return label.trim().slice(0, MAX_LABEL_LENGTH) || name;
+  }
+
+  validateControls(controls) {
+    if (!controls || typeof controls !== 'object' || Array.isArray(controls)) {
+      throw new Error('Preset controls must be an object of control values');
+    }
+
+    const result = {};
+    for (const [name, value] of Object.entries(controls)) {
+      if (!/^\w+$/.test(name)) {
+        throw new Error(`Invalid control name: ${name}`);
+      }
+      const parsed = parseInt(value, 10);
+      if (Number.isNaN(parsed)) {
+        throw new Error(`Invalid value for ${name}: ${value}`);
+      }
+      result[name] = parsed;
+    }
+
+    if (Object.keys(result).length === 0) {
+      throw new Error('Preset must contain at least one control');
+    }
+    return result;
+  }
+
+  async list() {
+    const presets = await this.load();
+    return Object.entries(presets).map(([name, preset]) => ({ name, ...preset }));
+  }
+
+  async has(name) {
+    const presets = await this.load();
+    return Object.prototype.hasOwnProperty.call(presets, name);
+  }
+
+  async get(name) {
+    const presets = await this.load();
+    if (!Object.prototype.hasOwnProperty.call(presets, name)) {
+      return null;
+    }
+    return { name, ...presets[name] };
+  }
+
+  async create(name, controls, label = name) {
+    this.validateName(name);
+    if (await this.has(name)) {
+      throw new Error(`Preset already exists: ${name}`);
+    }
+
+    this.presets[name] = { label: this.cleanLabel(label, name), controls: this.validateControls(controls) };
+    await this.save();
+    return { name, ...this.presets[name] };
+  }
+
+  async update(name, { controls, label } = {}) {
+    if (!(await this.has(name))) {
+      throw new Error(`Unknown preset: ${name}`);
+    }
+
+    const preset = this.presets[name];
+    const newControls = controls !== undefined ? this.validateControls(controls) : preset.controls;
+    const newLabel = label ? this.cleanLabel(label, name) : preset.label;
+    preset.controls = newControls;
+    preset.label = newLabel;
+    await this.save();
+    return { name, ...preset };
+  }
+
+  async remove(name) {
+    if (!(await this.has(name))) {
+      throw new Error(`Unknown preset: ${name}`);
+    }
+
+    delete this.presets[name];
+    await this.save();
+    return { name };
+  }
+
+  async exportAll() {
+    return JSON.parse(JSON.stringify(await this.load()));
+  }
+
+  async importPresets(data, overwrite = false) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Import must be an object of presets keyed by name');
+    }
+
+    await this.load();
+
+    // Validate everything before touching the store so a bad file imports nothing
+    const incoming = {};
+    for (const [name, preset] of Object.entries(data)) {
+      this.validateName(name);
+      incoming[name] = {
+        label: this.cleanLabel(preset && preset.label, name),
+        controls: this.validateControls(preset && preset.controls)
+      };
+    }
+
+    const imported = [];
+    const skipped = [];
+    for (const [name, preset] of Object.entries(incoming)) {
+      if (this.presets[name] && !overwrite) {
+        skipped.push(name);
+        continue;
+      }
+      this.presets[name] = preset;
+      imported.push(name);
+    }
+
+    await this.save();
+    return { imported, skipped };
+  }
+}
+
+module.exports = PresetStore;
@@ -0,0 +1,199 @@
+const path = require('path');
+const fs = require('fs');
+const fsPromises = fs.promises;
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const MAX_FIELD_LENGTH = { target: 100, location: 100, notes: 2000 };
+
+// Observing sessions: a night out with one target. While a session is active every
+// capture's metadata sidecar records it, which is what the gallery groups on.
+//
+// Captures stay in the shared photos/videos/sequences folders - thumbnails, the archive
+// and viewer URLs all address them by name - and each session keeps the names of its
+// captures (session.captures). Listing a session reads only those, and a capture whose
+// sidecar is lost or failed to write still belongs to its session.
+class SessionStore {
+  constructor(file = SESSIONS_FILE) {
+    this.file = file;
+    this.data = null;
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    try {
+      const data = JSON.parse(await fsPromises.readFile(this.file, 'utf8'));
+      this.data = {
+        sessions: Array.isArray(data.sessions) ? data.sessions : [],
+        activeId: data.activeId || null
+      };
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Failed to read sessions, starting empty:', err.message);
+      }
+      this.data = { sessions: [], activeId: null };
+    }
+
+    return this.data;
+  }
+
+  // Captures from several cameras can be filed at once; writes go one after another
+  // so they never race on the temp file
+  save() {
+    const write = async () => {
+      await fsPromises.mkdir(path.dirname(this.file), { recursive: true });
+      const tmpFile = `${this.file}.tmp`;
+      await fsPromises.writeFile(tmpFile, JSON.stringify(this.data, null, 2));
+      await fsPromises.rename(tmpFile, this.file);
+    };
+    this.saving = this.saving.catch(() => {}).then(write);
+    return this.saving;
+  }
+
+  cleanFields(fields) {
+    const result = {};
+    for (const [key, maxLength] of Object.entries(MAX_FIELD_LENGTH)) {
+      const value = fields[key];
+      if (value === undefined) continue;
+      if (value !== null && typeof value !== 'string') {
+        throw new Error(`${key} must be a string`);
+      }
+      result[key] = value && value.trim() ? value.trim().slice(0, maxLength) : null;
+    }
+    return result;
+  }
+
+  // Readable, unique id: 2026-10-19_m42
+  generateId(target, date = new Date()) {
+    const slug = (target || 'session').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+    const base = `${date.toISOString().slice(0, 10)}_${slug || 'session'}`;
+
+    let id = base;
+    for (let n = 2; this.data.sessions.some(s => s.id === id); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  async list() {
+    const { sessions, activeId } = await this.load();
+    return [...sessions]
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+      .map(session => ({ ...session, active: session.id === activeId }));
+  }
+
+  async get(id) {
+    const { sessions, activeId } = await this.load();
+    const session = sessions.find(s => s.id === id);
+    return session ? { ...session, active: session.id === activeId } : null;
+  }
+
+  async getActive() {
+    const { activeId } = await this.load();
+    return activeId ? this.get(activeId) : null;
+  }
+
+  // Starting a session ends the one before it
+  async start({ target, location, notes } = {}) {
+    await this.load();
+    const fields = this.cleanFields({ target, location, notes });
+    if (!fields.target) {
+      throw new Error('target required');
+    }
+
+    const now = new Date();
+    const previous = this.data.sessions.find(s => s.id === this.data.activeId);
+    if (previous) {
+      previous.endedAt = now.toISOString();
+    }
+
+    const session = {
+      id: this.generateId(fields.target, now),
+      target: fields.target,
+      location: fields.location || null,
+      notes: fields.notes || null,
+      startedAt: now.toISOString(),
+      endedAt: null,
+      captures: []
+    };
+    this.data.sessions.push(session);
+    this.data.activeId = session.id;
+    await this.save();
+
+    return { ...session, active: true };
+  }
+
+  async end() {
+    await this.load();
+    const session = this.data.sessions.find(s => s.id === this.data.activeId);
+    if (!session) {
+      throw new Error('No active session');
+    }
+
+    session.endedAt = new Date().toISOString();
+    this.data.activeId = null;
+    await this.save();
+
+    return { ...session, active: false };
+  }
+
+  async update(id, fields) {
+    await this.load();
+    const session = this.data.sessions.find(s => s.id === id);
+    if (!session) {
+      throw new Error(`Session "${id}" not found`);
+    }
+
+    const changes = this.cleanFields(fields);
+    if (changes.target === null) {
+      throw new Error('target must not be empty');
+    }
+    Object.assign(session, changes);
+    await this.save();
+
+    return { ...session, active: session.id === this.data.activeId };
+  }
+
+  async addCapture(id, filename) {
+    await this.load();
+    const session = this.data.sessions.find(s => s.id === id);
+    if (!session) return;
+    if (!session.captures.includes(filename)) {
+      session.captures.push(filename);
+      await this.save();
+    }
+  }
+
+  async removeCapture(filename) {
+    await this.load();
+    const sessions = this.data.sessions.filter(s => s.captures.includes(filename));
+    for (const session of sessions) {
+      session.captures = session.captures.filter(name => name !== filename);
+    }
+    if (sessions.length > 0) {
+      await this.save();
+    }
+  }
+
+  // Captures keep the session copy in their metadata, so the gallery can still group them
+  async remove(id) {
+    await this.load();
+    if (!this.data.sessions.some(s => s.id === id)) {
+      throw new Error(`Session "${id}" not found`);
+    }
+
+    this.data.sessions = this.data.sessions.filter(s => s.id !== id);
+    if (this.data.activeId === id) {
+      this.data.activeId = null;
+    }
+    await this.save();
+
+    return { success: true, id };
+  }
+}
+
+module.exports = SessionStore;
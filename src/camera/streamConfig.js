@@ -0,0 +1,60 @@
+const path = require('path');
+const fs = require('fs');
+const fsPromises = fs.promises;
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const CONFIG_FILE = path.join(DATA_DIR, 'stream-config.json');
+
+// Per-camera stream configuration - { profile, roi } keyed by camera id - plus server-wide
+// switches such as HLS. This is the source of truth for the stream; mediamtx.yml is
+// rendered from it and never read back.
+class StreamConfig {
+  constructor(file = CONFIG_FILE) {
+    this.file = file;
+    this.cameras = {};
+    this.hls = false;
+  }
+
+  // Returns false when nothing has been saved yet
+  async load() {
+    try {
+      const data = JSON.parse(await fsPromises.readFile(this.file, 'utf8'));
+      this.cameras = data && typeof data.cameras === 'object' && !Array.isArray(data.cameras) ? data.cameras : {};
+      this.hls = Boolean(data && data.hls === true);
+      return true;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Failed to read stream config, using defaults:', err.message);
+      }
+      this.cameras = {};
+      this.hls = false;
+      return false;
+    }
+  }
+
+  async save() {
+    await fsPromises.mkdir(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    await fsPromises.writeFile(tmpFile, JSON.stringify({ cameras: this.cameras, hls: this.hls }, null, 2));
+    await fsPromises.rename(tmpFile, this.file);
+  }
+
+  get(id) {
+    const entry = this.cameras[id] || {};
+    return { profile: entry.profile || null, roi: entry.roi || null };
+  }
+
+  set(id, changes) {
+    this.cameras[id] = { ...this.get(id), ...changes };
+  }
+
+  snapshot() {
+    return JSON.parse(JSON.stringify(this.cameras));
+  }
+
+  restore(snapshot) {
+    this.cameras = JSON.parse(JSON.stringify(snapshot));
+  }
+}
+
+module.exports = StreamConfig;
@@ -0,0 +1,304 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const HttpError = require('../httpError');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const OUTPUTS_FILE = path.join(DATA_DIR, 'stream-outputs.json');
+
+// Push targets: ffmpeg pulls the camera's RTSP path and copies the H.264 into the ingest protocol
+const PUSH_OUTPUTS = {
+  rtmp: { protocols: ['rtmp:', 'rtmps:'], format: 'flv' },
+  srt: { protocols: ['srt:'], format: 'mpegts' }
+};
+const HLS_PORT = 8888;
+const RETRY_DELAY_MS = 5000;
+const STOP_TIMEOUT_MS = 3000;
+
+// Hide credentials in an ingest URL: userinfo, query values (SRT streamid/passphrase)
+// and everything after the first path segment (the RTMP stream key)
+const maskUrl = (url) => {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    const auth = parsed.username || parsed.password ? '***@' : '';
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    const pathname = segments.length > 1 ? `/${segments[0]}/***` : parsed.pathname;
+    const query = [...parsed.searchParams.keys()].map(key => `${key}=***`).join('&');
+    return `${parsed.protocol}//${auth}${parsed.host}${pathname}${query ? `?${query}` : ''}`;
+  } catch (err) {
+    return '***';
+  }
+};
+
+// The credential parts of an ingest URL (userinfo, stream key, query values), raw and
+// decoded, so they can be scrubbed from ffmpeg output however it prints the URL
+const urlSecrets = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return [url];
+  }
+  const secrets = [parsed.username, parsed.password, ...parsed.pathname.split('/').filter(Boolean).slice(1)];
+  for (const value of parsed.searchParams.values()) {
+    secrets.push(value);
+  }
+  const forms = secrets.filter(Boolean).flatMap((secret) => {
+    try {
+      return [secret, decodeURIComponent(secret), encodeURIComponent(decodeURIComponent(secret))];
+    } catch (err) {
+      return [secret];
+    }
+  });
+  // Longest first, so a secret containing another is scrubbed whole
+  return [...new Set(forms)].sort((a, b) => b.length - a.length);
+};
+
+const scrub = (text, secrets) => secrets.reduce((result, secret) => result.split(secret).join('***'), text);
+
+// Optional extra outputs for outreach nights: MediaMTX's own HLS server, and RTMP/SRT
+// pushes relayed by ffmpeg. Ingest URLs carry stream keys, so they live only in
+// data/stream-outputs.json (owner-readable) and are masked in everything reported.
+class StreamOutputs {
+  constructor(cameras, stream, { file = OUTPUTS_FILE, notify = () => {} } = {}) {
+    this.cameras = cameras;
+    this.stream = stream;
+    this.file = file;
+    this.notify = notify;
+    // Saved settings: { rtmp: { url, camera }, srt: { url, camera } }
+    this.targets = {};
+    // Runtime relay state per push output
+    this.relays = {};
+    for (const type of Object.keys(PUSH_OUTPUTS)) {
+      this.relays[type] = { state: 'stopped', process: null, retryTimer: null, since: null, restarts: 0, lastError: null, bitrate: null };
+    }
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fsPromises.readFile(this.file, 'utf8'));
+      this.targets = {};
+      for (const type of Object.keys(PUSH_OUTPUTS)) {
+        if (data[type] && typeof data[type].url === 'string') {
+          this.targets[type] = { url: data[type].url, camera: data[type].camera || null };
+        }
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Failed to read stream outputs:', err.message);
+      }
+      this.targets = {};
+    }
+  }
+
+  async save() {
+    await fsPromises.mkdir(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    await fsPromises.writeFile(tmpFile, JSON.stringify(this.targets, null, 2), { mode: 0o600 });
+    await fsPromises.rename(tmpFile, this.file);
+  }
+
+  has(type) {
+    return type === 'hls' || Object.keys(PUSH_OUTPUTS).includes(type);
+  }
+
+  validateTarget(type, { url, camera }) {
+    if (typeof url !== 'string' || !url.trim() || /\s/.test(url.trim())) {
+      throw new HttpError(400, 'url required');
+    }
+    let parsed;
+    try {
+      parsed = new URL(url.trim());
+    } catch (err) {
+      throw new HttpError(400, 'url is not a valid URL');
+    }
+    const { protocols } = PUSH_OUTPUTS[type];
+    if (!protocols.includes(parsed.protocol) || !parsed.hostname) {
+      throw new HttpError(400, `url must be a ${protocols.map(p => p.slice(0, -1)).join('/')} URL with a host`);
+    }
+    if (camera && !this.cameras.get(camera)) {
+      throw new HttpError(400, `camera not found: ${camera}`);
+    }
+    return { url: url.trim(), camera: camera || null };
+  }
+
+  // Set the ingest URL and source camera; an omitted url keeps the saved one
+  async configure(type, { url, camera } = {}) {
+    if (this.relays[type].state !== 'stopped') {
+      throw new HttpError(409, `Stop the ${type} output before changing it`);
+    }
+    const current = this.targets[type] || {};
+    this.targets[type] = this.validateTarget(type, {
+      url: url === undefined || url === '' ? current.url : url,
+      camera: camera === undefined ? current.camera : camera
+    });
+    await this.save();
+    this.notify('streamOutputsChanged', this.getStatus());
+    return this.getStatus();
+  }
+
+  async remove(type) {
+    if (this.relays[type].state !== 'stopped') {
+      throw new HttpError(409, `Stop the ${type} output before removing it`);
+    }
+    delete this.targets[type];
+    await this.save();
+    this.notify('streamOutputsChanged', this.getStatus());
+    return this.getStatus();
+  }
+
+  async start(type) {
+    if (type === 'hls') {
+      await this.stream.setHls(true);
+    } else {
+      const target = this.targets[type];
+      if (!target) {
+        throw new HttpError(400, `No ${type} ingest URL configured`);
+      }
+      const relay = this.relays[type];
+      if (relay.state !== 'stopped') {
+        throw new HttpError(409, `${type} output already running`);
+      }
+      relay.restarts = 0;
+      relay.lastError = null;
+      this.spawnRelay(type);
+    }
+    this.notify('streamOutputsChanged', this.getStatus());
+    return this.getStatus();
+  }
+
+  async stop(type) {
+    if (type === 'hls') {
+      await this.stream.setHls(false);
+    } else {
+      await this.stopRelay(type);
+    }
+    this.notify('streamOutputsChanged', this.getStatus());
+    return this.getStatus();
+  }
+
+  stopAll() {
+    return Promise.all(Object.keys(PUSH_OUTPUTS).map(type => this.stopRelay(type)));
+  }
+
+  // Falls back to the default camera if the saved one is no longer attached
+  targetCamera(type) {
+    const target = this.targets[type];
+    return (target.camera && this.cameras.get(target.camera)) || this.cameras.getDefault();
+  }
+
+  spawnRelay(type) {
+    const relay = this.relays[type];
+    const { url } = this.targets[type];
+    const secrets = urlSecrets(url);
+    const camera = this.targetCamera(type);
+
+    const child = spawn('ffmpeg', [
+      '-rtsp_transport', 'tcp',
+      '-timeout', '6000000',
+      '-i', camera.capture.rtspUrl,
+      '-c:v', 'copy',
+      '-an',
+      '-f', PUSH_OUTPUTS[type].format,
+      url
+    ], {
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+    relay.process = child;
+    relay.state = 'starting';
+    relay.since = null;
+    relay.bitrate = null;
+
+    child.stderr.on('data', (data) => {
+      // ffmpeg echoes the output URL in its errors, not always in the form it was given
+      const msg = scrub(data.toString(), secrets);
+      const errors = msg.split(/[\r\n]+/).filter(line => /error|failed|refused|denied|timed out/i.test(line));
+      if (errors.length > 0) {
+        relay.lastError = errors[errors.length - 1].trim();
+      }
+      const progress = msg.match(/bitrate=\s*([\d.]+)kbits\/s/);
+      if (progress) {
+        relay.bitrate = parseFloat(progress[1]);
+        if (relay.state === 'starting') {
+          relay.state = 'running';
+          relay.since = new Date().toISOString();
+          this.notify('streamOutputsChanged', this.getStatus());
+        }
+      }
+    });
+
+    child.on('error', (err) => {
+      relay.lastError = err.message;
+    });
+
+    // A stream reconfiguration or dropped ingest ends the relay; keep retrying until stopped
+    child.on('close', (code) => {
+      if (relay.process !== child) return;
+      relay.process = null;
+      relay.since = null;
+      relay.bitrate = null;
+      if (relay.state === 'stopping') {
+        relay.state = 'stopped';
+      } else {
+        console.error(`${type} output exited with code ${code}, retrying in ${RETRY_DELAY_MS / 1000}s`);
+        relay.state = 'retrying';
+        relay.restarts++;
+        relay.retryTimer = setTimeout(() => {
+          relay.retryTimer = null;
+          this.spawnRelay(type);
+        }, RETRY_DELAY_MS);
+      }
+      this.notify('streamOutputsChanged', this.getStatus());
+    });
+  }
+
+  stopRelay(type) {
+    const relay = this.relays[type];
+    clearTimeout(relay.retryTimer);
+    relay.retryTimer = null;
+    const child = relay.process;
+    if (!child) {
+      relay.state = 'stopped';
+      return Promise.resolve();
+    }
+
+    relay.state = 'stopping';
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT_MS);
+      child.once('close', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      child.kill('SIGTERM');
+    });
+  }
+
+  getStatus() {
+    const status = {
+      hls: {
+        enabled: this.stream.config.hls,
+        port: HLS_PORT,
+        paths: this.cameras.all().map(camera => ({ camera: camera.id, path: camera.path }))
+      }
+    };
+    for (const type of Object.keys(PUSH_OUTPUTS)) {
+      const target = this.targets[type];
+      const relay = this.relays[type];
+      status[type] = {
+        configured: Boolean(target),
+        url: target ? maskUrl(target.url) : null,
+        camera: target ? this.targetCamera(type).id : null,
+        state: relay.state,
+        since: relay.since,
+        bitrate: relay.bitrate,
+        restarts: relay.restarts,
+        lastError: relay.lastError
+      };
+    }
+    return status;
+  }
+}
+
+module.exports = StreamOutputs;
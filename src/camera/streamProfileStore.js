@@ -0,0 +1,190 @@
+const path = require('path');
+const fs = require('fs');
+const fsPromises = fs.promises;
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const PROFILES_FILE = path.join(DATA_DIR, 'stream-profiles.json');
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+// Fallback for cameras without a profile of their own (StreamService uses the same name)
+const DEFAULT_PROFILE = 'normal';
+// The binning toggle switches between these two, so neither can be deleted
+const BUILTIN_PROFILES = [DEFAULT_PROFILE, 'binned'];
+
+// ffmpeg -input_format names for the pixel formats cameras offer
+const FORMATS = ['mjpeg', 'yuyv422', 'h264'];
+
+const LIMITS = {
+  width: [160, 4096],
+  height: [120, 3072],
+  fps: [1, 120],
+  bitrate: [100, 20000],
+  gop: [1, 300]
+};
+
+// The two original stream modes; "binned" captures 1280x960 and area-scales it to
+// 640x480, summing 2x2 pixels for ~4x brightness
+const DEFAULT_PROFILES = {
+  normal: {
+    label: 'Normal (640x480)',
+    format: 'mjpeg',
+    width: 640,
+    height: 480,
+    fps: 30,
+    bitrate: 1200,
+    gop: 5,
+    output: null
+  },
+  binned: {
+    label: '2x2 Binned',
+    format: 'mjpeg',
+    width: 1280,
+    height: 960,
+    fps: 30,
+    bitrate: 1200,
+    gop: 5,
+    output: { width: 640, height: 480 }
+  }
+};
+
+// Named stream profiles (capture size, framerate, encoder settings), shared by all cameras
+class StreamProfileStore {
+  constructor(file = PROFILES_FILE) {
+    this.file = file;
+    this.profiles = null;
+  }
+
+  async load() {
+    if (this.profiles) {
+      return this.profiles;
+    }
+
+    try {
+      const data = await fsPromises.readFile(this.file, 'utf8');
+      this.profiles = JSON.parse(data);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Failed to read stream profiles, using defaults:', err.message);
+      }
+      this.profiles = JSON.parse(JSON.stringify(DEFAULT_PROFILES));
+      await this.save();
+    }
+
+    return this.profiles;
+  }
+
+  async save() {
+    await fsPromises.mkdir(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.tmp`;
+    await fsPromises.writeFile(tmpFile, JSON.stringify(this.profiles, null, 2));
+    await fsPromises.rename(tmpFile, this.file);
+  }
+
+  // Synchronous lookup for config generation; load() must have run first
+  resolve(name) {
+    const profiles = this.profiles || DEFAULT_PROFILES;
+    if (!Object.prototype.hasOwnProperty.call(profiles, name)) {
+      return null;
+    }
+    return { name, ...profiles[name] };
+  }
+
+  validateName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new Error('Profile name must be 1-40 letters, digits, "-" or "_"');
+    }
+  }
+
+  validateProfile(profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error('Profile must be an object');
+    }
+
+    const format = profile.format || 'mjpeg';
+    if (!FORMATS.includes(format)) {
+      throw new Error(`format must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    const result = { label: profile.label || null, format };
+    for (const [key, [min, max]] of Object.entries(LIMITS)) {
+      const value = parseInt(profile[key], 10);
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`${key} must be between ${min} and ${max}`);
+      }
+      result[key] = value;
+    }
+    // The hardware H.264 encoder wants even dimensions
+    if (result.width % 2 || result.height % 2) {
+      throw new Error('width and height must be even');
+    }
+
+    result.output = null;
+    if (profile.output) {
+      const width = parseInt(profile.output.width, 10);
+      const height = parseInt(profile.output.height, 10);
+      if (!Number.isInteger(width) || !Number.isInteger(height) || width < LIMITS.width[0] || height < LIMITS.height[0] ||
+        width > result.width || height > result.height || width % 2 || height % 2) {
+        throw new Error('output must be an even size no larger than the capture size');
+      }
+      if (width !== result.width || height !== result.height) {
+        result.output = { width, height };
+      }
+    }
+
+    return result;
+  }
+
+  async list() {
+    const profiles = await this.load();
+    return Object.entries(profiles).map(([name, profile]) => ({ name, ...profile }));
+  }
+
+  async has(name) {
+    const profiles = await this.load();
+    return Object.prototype.hasOwnProperty.call(profiles, name);
+  }
+
+  async get(name) {
+    await this.load();
+    return this.resolve(name);
+  }
+
+  async create(name, profile) {
+    this.validateName(name);
+    if (await this.has(name)) {
+      throw new Error(`Stream profile already exists: ${name}`);
+    }
+
+    const validated = this.validateProfile(profile);
+    this.profiles[name] = { ...validated, label: validated.label || name };
+    await this.save();
+    return { name, ...this.profiles[name] };
+  }
+
+  async update(name, changes = {}) {
+    if (!(await this.has(name))) {
+      throw new Error(`Unknown stream profile: ${name}`);
+    }
+
+    const current = this.profiles[name];
+    const defined = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+    const validated = this.validateProfile({ ...current, ...defined });
+    this.profiles[name] = { ...validated, label: validated.label || current.label || name };
+    await this.save();
+    return { name, ...this.profiles[name] };
+  }
+
+  async remove(name) {
+    if (!(await this.has(name))) {
+      throw new Error(`Unknown stream profile: ${name}`);
+    }
+    if (BUILTIN_PROFILES.includes(name)) {
+      throw new Error(`The ${name} profile cannot be deleted`);
+    }
+
+    delete this.profiles[name];
+    await this.save();
+    return { name };
+  }
+}
+
+module.exports = StreamProfileStore;
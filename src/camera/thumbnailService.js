@@ -0,0 +1,158 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const path = require('path');
+const fs = require('fs');
+const fsPromises = fs.promises;
+
+const execFileAsync = promisify(execFile);
+
+const THUMBNAILS_DIR = path.join(__dirname, '../../captures/thumbnails');
+const THUMBNAIL_WIDTH = 320;
+// Formats the browser can't display get a full-size JPEG for the viewer
+const PREVIEW_EXTENSIONS = ['.tif', '.fits'];
+// One ffmpeg at a time - a gallery full of missing thumbnails must not swamp the Pi.
+// Every camera has its own ThumbnailService, so the queue is shared at module level.
+const MAX_CONCURRENT = 1;
+const queue = [];
+let running = 0;
+
+const next = () => {
+  if (running >= MAX_CONCURRENT || queue.length === 0) {
+    return;
+  }
+
+  const { service, filename, full, resolve, reject } = queue.shift();
+  running++;
+  service.render(filename, full)
+    .then(resolve, reject)
+    .finally(() => {
+      running--;
+      next();
+    });
+};
+
+// Small JPEG previews for the gallery: photo_x.jpg -> thumbnails/photo_x.jpg.jpg.
+// Made after each capture and on demand for anything older. The viewer's full-size
+// previews of TIFF/FITS photos (thumbnails/photo_x.fits.full.jpg) share the queue.
+class ThumbnailService {
+  constructor(capture) {
+    this.capture = capture;
+    this.pending = new Map();
+  }
+
+  getPath(filename, full = false) {
+    return path.join(THUMBNAILS_DIR, full ? `${filename}.full.jpg` : `${filename}.jpg`);
+  }
+
+  // Path of the thumbnail, generating it first if needed
+  async get(filename) {
+    const thumbPath = this.getPath(filename);
+    if (fs.existsSync(thumbPath)) {
+      return thumbPath;
+    }
+    return this.generate(filename);
+  }
+
+  needsPreview(filename) {
+    return PREVIEW_EXTENSIONS.includes(path.extname(filename));
+  }
+
+  // Full-resolution image the browser can show: the photo itself, or a converted copy
+  async getPreview(filename) {
+    const filepath = this.capture.getFilePath(filename);
+    if (!filepath || !filename.startsWith('photo_') || !fs.existsSync(filepath)) {
+      throw new Error('File not found');
+    }
+    if (!this.needsPreview(filename)) {
+      return filepath;
+    }
+
+    const previewPath = this.getPath(filename, true);
+    if (fs.existsSync(previewPath)) {
+      return previewPath;
+    }
+    return this.generate(filename, true);
+  }
+
+  // Concurrent requests for the same capture share one job
+  generate(filename, full = false) {
+    const key = full ? `${filename}:full` : filename;
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const job = new Promise((resolve, reject) => {
+      queue.push({ service: this, filename, full, resolve, reject });
+      next();
+    }).finally(() => this.pending.delete(key));
+
+    this.pending.set(key, job);
+    return job;
+  }
+
+  // Fire-and-forget after a capture; failures only mean the gallery retries later
+  schedule(filename) {
+    this.generate(filename).catch((err) => {
+      console.error(`Thumbnail for ${filename} failed:`, err.message);
+    });
+  }
+
+  async sourceFor(filename) {
+    const filepath = this.capture.getFilePath(filename);
+    if (!filepath || !fs.existsSync(filepath)) {
+      throw new Error('File not found');
+    }
+
+    const stats = await fsPromises.stat(filepath);
+    if (stats.isDirectory()) {
+      const frames = (await fsPromises.readdir(filepath)).filter(f => /^frame_\d{5}\.jpg$/.test(f)).sort();
+      if (frames.length === 0) {
+        throw new Error('Sequence has no frames');
+      }
+      return { input: path.join(filepath, frames[0]), video: false };
+    }
+
+    return { input: filepath, video: filename.endsWith('.mp4') };
+  }
+
+  async render(filename, full = false) {
+    const { input, video } = await this.sourceFor(filename);
+    const thumbPath = this.getPath(filename, full);
+    await fsPromises.mkdir(THUMBNAILS_DIR, { recursive: true });
+
+    // Previews keep every pixel for focus checks; 16-bit data is reduced to 8-bit JPEG
+    const filters = full ? ['format=rgb24'] : [`scale=${THUMBNAIL_WIDTH}:-2`];
+    // FitsWriter stores rows top-down; ffmpeg assumes the FITS default of bottom-up
+    if (filename.endsWith('.fits')) {
+      filters.unshift('vflip');
+    }
+
+    const output = ['-frames:v', '1', '-vf', filters.join(','), '-q:v', full ? '2' : '5', thumbPath];
+    const run = seek => execFileAsync('ffmpeg', ['-y', ...seek, '-i', input, ...output], { timeout: 15000 });
+
+    try {
+      // Poster frame a second in, past the black/unsettled first frames of a recording
+      await run(video ? ['-ss', '1'] : []);
+      if (video && !fs.existsSync(thumbPath)) {
+        // Clip shorter than the seek point - take the very first frame
+        await run([]);
+      }
+    } catch (error) {
+      await fsPromises.unlink(thumbPath).catch(() => {});
+      const errorOutput = String(error.stderr || error.message);
+      throw new Error(`Thumbnail failed: ${errorOutput.slice(-200)}`);
+    }
+
+    if (!fs.existsSync(thumbPath)) {
+      throw new Error('Thumbnail failed: no frame decoded');
+    }
+    return thumbPath;
+  }
+
+  async remove(filename) {
+    await fsPromises.rm(this.getPath(filename), { force: true });
+    await fsPromises.rm(this.getPath(filename, true), { force: true });
+  }
+}
+
+module.exports = ThumbnailService;
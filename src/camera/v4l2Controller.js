@@ -5,55 +5,18 @@ const execAsync = promisify(exec);
 
 const DEVICE = '/dev/video0';
 
-// Telescope-specific presets
-const PRESETS = {
-  planetary: {
-    auto_exposure: 1,
-    exposure_time_absolute: 100,
-    gain: 200,
-    gamma: 100,
-    sharpness: 5,
-    white_balance_automatic: 0,
-    white_balance_temperature: 4600,
-    focus_automatic_continuous: 0,
-    focus_absolute: 512
-  },
-  lunar: {
-    auto_exposure: 1,
-    exposure_time_absolute: 50,
-    gain: 100,
-    gamma: 90,
-    sharpness: 3,
-    white_balance_automatic: 0,
-    white_balance_temperature: 5000,
-    focus_automatic_continuous: 0,
-    focus_absolute: 512
-  },
-  dso: {
-    auto_exposure: 1,
-    exposure_time_absolute: 5000,
-    gain: 800,
-    gamma: 150,
-    sharpness: 0,
-    white_balance_automatic: 0,
-    white_balance_temperature: 5500,
-    focus_automatic_continuous: 0,
-    focus_absolute: 512
-  },
-  focusing: {
-    auto_exposure: 1,
-    exposure_time_absolute: 500,
-    gain: 400,
-    gamma: 110,
-    sharpness: 7,
-    white_balance_automatic: 1,
-    focus_automatic_continuous: 1
-  }
+// V4L2 FourCC codes and the ffmpeg -input_format that reads them
+const FOURCC_FORMATS = {
+  MJPG: 'mjpeg',
+  YUYV: 'yuyv422',
+  H264: 'h264'
 };
 
 class V4L2Controller {
   constructor(device = DEVICE) {
     this.device = device;
+    // Name of the last preset applied, until a control is changed by hand
+    this.activePreset = null;
   }
 
   async runCommand(cmd) {
@@ -83,12 +46,14 @@ class V4L2Controller {
         const stepMatch = rest.match(/step=(\d+)/);
         const defaultMatch = rest.match(/default=(-?\d+)/);
         const valueMatch = rest.match(/value=(-?\d+)/);
+        const flagsMatch = rest.match(/flags=([\w-,]+)/);
 
         if (minMatch) control.min = parseInt(minMatch[1]);
         if (maxMatch) control.max = parseInt(maxMatch[1]);
         if (stepMatch) control.step = parseInt(stepMatch[1]);
         if (defaultMatch) control.default = parseInt(defaultMatch[1]);
         if (valueMatch) control.value = parseInt(valueMatch[1]);
+        if (flagsMatch) control.flags = flagsMatch[1].split(',');
 
         controls[name] = control;
       }
@@ -97,6 +62,43 @@ class V4L2Controller {
     return controls;
   }
 
+  // Pixel formats with their frame sizes and rates, from --list-formats-ext
+  async listFormats() {
+    const { stdout } = await this.runCommand(`v4l2-ctl -d ${this.device} --list-formats-ext`);
+    const formats = [];
+    let format = null;
+    let size = null;
+
+    for (const line of stdout.split('\n')) {
+      // "[0]: 'MJPG' (Motion-JPEG, compressed)"
+      const formatMatch = line.match(/^\s*\[\d+\]:\s*'(\w+)'\s*\((.*)\)/);
+      if (formatMatch) {
+        const [, fourcc, description] = formatMatch;
+        format = { fourcc, format: FOURCC_FORMATS[fourcc] || null, description, sizes: [] };
+        formats.push(format);
+        size = null;
+        continue;
+      }
+
+      // "Size: Discrete 1280x720" - stepwise sizes aren't offered by UVC cameras
+      const sizeMatch = line.match(/^\s*Size:\s*Discrete\s+(\d+)x(\d+)/);
+      if (sizeMatch && format) {
+        size = { width: parseInt(sizeMatch[1]), height: parseInt(sizeMatch[2]), fps: [] };
+        format.sizes.push(size);
+        continue;
+      }
+
+      // "Interval: Discrete 0.033s (30.000 fps)"
+      const intervalMatch = line.match(/^\s*Interval:\s*Discrete\s+[\d.]+s\s*\(([\d.]+)\s*fps\)/);
+      if (intervalMatch && size) {
+        const fps = Math.round(parseFloat(intervalMatch[1]) * 1000) / 1000;
+        if (!size.fps.includes(fps)) size.fps.push(fps);
+      }
+    }
+
+    return formats;
+  }
+
   async getControl(name) {
     const { stdout } = await this.runCommand(`v4l2-ctl -d ${this.device} -C ${name}`);
     const match = stdout.match(/(\d+)/);
@@ -104,33 +106,40 @@ class V4L2Controller {
   }
 
   async setControl(name, value) {
+    // Auto modes switched off as a side effect, reported so clients can follow along
+    const implied = {};
+
     // For exposure, ensure manual mode first
     if (name === 'exposure_time_absolute') {
       await this.runCommand(`v4l2-ctl -d ${this.device} -c auto_exposure=1`);
+      implied.auto_exposure = 1;
     }
 
     // For white balance temperature, ensure manual WB mode first
     if (name === 'white_balance_temperature') {
       await this.runCommand(`v4l2-ctl -d ${this.device} -c white_balance_automatic=0`);
+      implied.white_balance_automatic = 0;
     }
 
     // For focus absolute, ensure manual focus mode first
     if (name === 'focus_absolute') {
       await this.runCommand(`v4l2-ctl -d ${this.device} -c focus_automatic_continuous=0`);
+      implied.focus_automatic_continuous = 0;
     }
 
     await this.runCommand(`v4l2-ctl -d ${this.device} -c ${name}=${value}`);
-    return { name, value };
+    // Any manual change means the camera no longer matches the last preset
+    this.activePreset = null;
+    return { name, value, implied };
   }
 
-  async applyPreset(presetName) {
-    const preset = PRESETS[presetName];
-    if (!preset) {
+  async applyPreset(presetName, controls) {
+    if (!controls) {
       throw new Error(`Unknown preset: ${presetName}`);
     }
 
     const results = [];
-    for (const [control, value] of Object.entries(preset)) {
+    for (const [control, value] of Object.entries(controls)) {
       try {
         await this.setControl(control, value);
         results.push({ control, value, success: true });
@@ -139,6 +148,7 @@ class V4L2Controller {
       }
     }
 
+    this.activePreset = presetName;
     return { preset: presetName, results };
   }
 
@@ -160,8 +170,20 @@ class V4L2Controller {
     return results;
   }
 
-  getPresets() {
-    return Object.keys(PRESETS);
+  // Current values of every writable, active control - the basis for user presets
+  async snapshotControls() {
+    const controls = await this.getControls();
+    const snapshot = {};
+
+    for (const [name, control] of Object.entries(controls)) {
+      const flags = control.flags || [];
+      if (control.value === undefined || flags.includes('inactive') || flags.includes('read-only')) {
+        continue;
+      }
+      snapshot[name] = control.value;
+    }
+
+    return snapshot;
   }
 }
 
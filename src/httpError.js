@@ -0,0 +1,11 @@
+// Error carrying the HTTP status a route should answer with, so routes don't
+// have to guess it from the message text. Anything without one is a 500.
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,44 @@
+const CameraManager = require('./camera/cameraManager');
+const StreamService = require('./camera/streamService');
+const PresetStore = require('./camera/presetStore');
+const StreamProfileStore = require('./camera/streamProfileStore');
+const SessionStore = require('./camera/sessionStore');
+const MediaMTXSupervisor = require('./camera/mediamtxSupervisor');
+const StreamOutputs = require('./camera/streamOutputs');
+
+// Single set of service instances shared by server.js and the API router,
+// so state such as an active recording is never split across copies.
+// Each camera carries its own V4L2Controller and CaptureService.
+// notify(type, data) lets background jobs push progress to clients.
+const createServices = ({ notify = () => {} } = {}) => {
+  // Cameras need the stream mode (profile and crop) to pick calibration masters
+  let stream = null;
+  const sessions = new SessionStore();
+  const cameras = new CameraManager({
+    notify,
+    getStreamMode: camera => stream.getModeKey(camera),
+    getSession: () => sessions.getActive(),
+    fileInSession: (id, filename) => sessions.addCapture(id, filename),
+    unfileFromSession: filename => sessions.removeCapture(filename)
+  });
+  const profiles = new StreamProfileStore();
+  stream = new StreamService(cameras, profiles, { notify });
+  const presets = new PresetStore();
+  const supervisor = new MediaMTXSupervisor({ notify });
+  const outputs = new StreamOutputs(cameras, stream, { notify });
+
+  return { cameras, stream, profiles, presets, sessions, supervisor, outputs };
+};
+
+// Discover cameras and make sure MediaMTX has a path for each before it starts
+const initializeServices = async ({ cameras, stream, profiles, outputs }) => {
+  await Promise.all([cameras.discover(), profiles.load(), outputs.load()]);
+
+  if (await stream.syncConfig()) {
+    console.log('MediaMTX config updated for discovered cameras');
+  }
+
+  await Promise.all(cameras.all().map(camera => camera.capture.initialize()));
+};
+
+module.exports = { createServices, initializeServices };